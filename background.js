@@ -1,9 +1,10 @@
 // VIBRARY Background Service Worker - Final polished version
+importScripts('canonical.js', 'thumb-store.js', 'thumb-encoder.js', 'library-store.js', 'migrations.js', 'maintenance.js',
+    'cleanup-policy.js', 'backup-store.js');
+
 class VibraryBackground {
   constructor() {
     this.version = '3.1.0';
-    this.cleanupCheckInterval = null;
-    this.storageCheckInterval = null;
     this.init();
   }
 
@@ -13,108 +14,322 @@ class VibraryBackground {
     // Handle installation
     chrome.runtime.onInstalled.addListener((details) => {
       this.handleInstall(details);
+      this.setupContextMenus();
     });
 
-    // Start periodic checks
-    this.startPeriodicChecks();
+    // Manual save and rating
+    chrome.contextMenus.onClicked.addListener((info, tab) => this.handleContextMenu(info, tab));
+    chrome.commands.onCommand.addListener((command, tab) => this.handleCommand(command, tab));
 
-    // Check cleanup on startup after a delay
-    setTimeout(() => this.checkAutoCleanup(), 5000);
+    // Keep the "Save link to playlist" submenu in sync with the playlists
+    chrome.storage.onChanged.addListener((changes) => {
+      if (changes.playlists) {
+        this.setupContextMenus();
+      }
+    });
+
+    // Pause tracking: session pauses end with the browser, timed ones with their alarm
+    chrome.runtime.onStartup.addListener(() => this.clearSessionPause());
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === 'resume-tracking') {
+        this.setTrackingPause(null);
+      }
+    });
+    chrome.storage.onChanged.addListener((changes) => {
+      if (changes.trackingPause) {
+        this.updatePauseBadge();
+      }
+    });
+    this.checkExpiredPause();
+
+    // Scheduled jobs; alarms wake the worker, timers wouldn't survive it being suspended
+    this.registerJobs();
+    Maintenance.start();
 
     // Listen for messages
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-      if (request.action === 'checkCleanup') {
-        this.checkAutoCleanup();
-        sendResponse({ success: true });
+      if (request.action === 'getMaintenanceStatus') {
+        Maintenance.getStatus()
+            .then(jobs => sendResponse({ success: true, jobs }))
+            .catch(e => sendResponse({ success: false, error: e.message }));
+      } else if (request.action === 'previewCleanup') {
+        // Auto-Cleanup dry run with the settings as currently entered
+        this.previewCleanup(request.policy)
+            .then(preview => sendResponse({ success: true, preview }))
+            .catch(e => sendResponse({ success: false, error: e.message }));
+      } else if (request.action === 'createSnapshot') {
+        // Backups "Back Up Now"
+        this.createSnapshot()
+            .then(snapshot => sendResponse({ success: true, snapshot }))
+            .catch(e => sendResponse({ success: false, error: e.message }));
+      } else if (request.action === 'restoreSnapshot') {
+        this.restoreSnapshot(request.id)
+            .then(total => sendResponse({ success: true, total }))
+            .catch(e => sendResponse({ success: false, error: e.message }));
+      } else if (request.action === 'deleteSnapshot') {
+        BackupStore.delete([request.id])
+            .then(() => sendResponse({ success: true }))
+            .catch(e => sendResponse({ success: false, error: e.message }));
+      } else if (request.action === 'runMaintenanceJob') {
+        // Settings "Run now", and the cleanup check after its settings change
+        Maintenance.runJob(request.job)
+            .then(status => sendResponse({ success: true, status }))
+            .catch(e => sendResponse({ success: false, error: e.message }));
+      } else if (request.action === 'getHostPage') {
+        // Embedded players ask which page they are shown on
+        sendResponse({ url: sender.tab?.url || '', title: sender.tab?.title || '' });
+      } else if (request.action === 'cacheArtwork') {
+        this.cacheArtwork(request.videoId, request.url)
+            .then(() => sendResponse({ success: true }))
+            .catch(e => sendResponse({ success: false, error: e.message }));
+      } else if (request.action === 'storeThumbnails') {
+        this.storeThumbnails(request)
+            .then(collection => sendResponse({ success: !!collection, collection }))
+            .catch(e => sendResponse({ success: false, error: e.message }));
+      } else if (request.action === 'reencodeThumbnails') {
+        this.reencodeThumbnails()
+            .then(stats => sendResponse({ success: true, ...stats }))
+            .catch(e => sendResponse({ success: false, error: e.message }));
+      } else if (request.action === 'saveCurrentVideo') {
+        // Popup "Save" button
+        chrome.tabs.query({ active: true, currentWindow: true })
+            .then(([tab]) => this.sendVideoCommand(tab, { action: 'saveCurrentVideo' }))
+            .then(response => sendResponse(response || { success: false, error: 'No video found on this page' }))
+            .catch(e => sendResponse({ success: false, error: e.message }));
+      } else if (LibraryStore.OPERATIONS.includes(request.action)) {
+        // Library writes from content scripts and the popup (LibraryApi)
+        LibraryStore[request.action](...(request.args || []))
+            .then(result => sendResponse({ success: true, result }))
+            .catch(e => sendResponse({ success: false, error: e.message }));
+      } else if (request.action === 'setTrackingPause') {
+        // Popup pause control; mode null resumes
+        this.setTrackingPause(request.mode)
+            .then(pause => sendResponse({ success: true, pause }))
+            .catch(e => sendResponse({ success: false, error: e.message }));
+      } else if (request.action === 'pruneThumbnails') {
+        this.pruneThumbnails()
+            .then(() => sendResponse({ success: true }))
+            .catch(e => sendResponse({ success: false, error: e.message }));
       }
       return true;
     });
   }
 
-  startPeriodicChecks() {
-    // Check storage every minute
-    this.storageCheckInterval = setInterval(() => this.checkStorage(), 60000);
+  // Context menu entries; rebuilt whenever the playlists change
+  setupContextMenus() {
+    this.menuUpdate = (this.menuUpdate || Promise.resolve()).then(async () => {
+      const { playlists = {} } = await chrome.storage.local.get(['playlists']);
+      await new Promise(resolve => chrome.contextMenus.removeAll(resolve));
+
+      const mediaContexts = ['video', 'audio', 'page', 'frame'];
+      chrome.contextMenus.create({ id: 'save-video', title: 'Save video to VIBRARY', contexts: mediaContexts });
+
+      chrome.contextMenus.create({ id: 'save-link', title: 'Save link to playlist…', contexts: ['link'] });
+      chrome.contextMenus.create({ id: 'save-link:', parentId: 'save-link', title: 'History only', contexts: ['link'] });
+      const names = Object.keys(playlists).sort((a, b) => a.localeCompare(b));
+      if (names.length > 0) {
+        chrome.contextMenus.create({ id: 'save-link-separator', parentId: 'save-link', type: 'separator', contexts: ['link'] });
+      }
+      names.forEach(name => {
+        chrome.contextMenus.create({ id: `save-link:${name}`, parentId: 'save-link', title: name, contexts: ['link'] });
+      });
+
+      chrome.contextMenus.create({ id: 'bookmark', title: 'Bookmark this moment', contexts: ['video', 'audio'] });
+
+      chrome.contextMenus.create({ id: 'rate', title: 'Rate current video', contexts: mediaContexts });
+      for (let rating = 1; rating <= 5; rating++) {
+        chrome.contextMenus.create({ id: `rate:${rating}`, parentId: 'rate', title: '★'.repeat(rating), contexts: mediaContexts });
+      }
+    }).catch(e => console.error('VIBRARY: Failed to set up context menus:', e));
+
+    return this.menuUpdate;
+  }
+
+  async handleContextMenu(info, tab) {
+    if (!tab?.id) return;
+
+    if (info.menuItemId === 'save-video') {
+      await this.sendVideoCommand(tab, { action: 'saveCurrentVideo', fromContextMenu: true }, info.frameId);
+
+    } else if (info.menuItemId === 'bookmark') {
+      await this.sendVideoCommand(tab, { action: 'addBookmark', fromContextMenu: true }, info.frameId);
+
+    } else if (info.menuItemId.startsWith('rate:')) {
+      const rating = parseInt(info.menuItemId.split(':')[1]);
+      await this.sendVideoCommand(tab, { action: 'rateCurrentVideo', rating, fromContextMenu: true }, info.frameId);
+
+    } else if (info.menuItemId.startsWith('save-link:') && info.linkUrl) {
+      const playlist = info.menuItemId.slice('save-link:'.length);
+      const response = await this.sendVideoCommand(tab, { action: 'saveLink', url: info.linkUrl }, info.frameId);
+      if (response?.success && playlist) {
+        await LibraryStore.addToPlaylist(response.videoId, playlist);
+      }
+    }
+  }
+
+  async handleCommand(command, tab) {
+    if (!tab?.id) {
+      [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab) return;
+    }
+
+    if (command === 'save-video') {
+      await this.sendVideoCommand(tab, { action: 'saveCurrentVideo' });
+    } else if (command.startsWith('rate-')) {
+      await this.sendVideoCommand(tab, { action: 'rateCurrentVideo', rating: parseInt(command.slice(5)) });
+    } else if (command === 'add-bookmark') {
+      await this.sendVideoCommand(tab, { action: 'addBookmark' });
+    } else if (command === 'toggle-pause') {
+      const { trackingPause } = await chrome.storage.local.get(['trackingPause']);
+      await this.setTrackingPause(this.isPauseActive(trackingPause) ? null : 'indefinite');
+    }
+  }
+
+  // Pause modes: '1h', 'session' (until the browser restarts) or 'indefinite'; null resumes
+  async setTrackingPause(mode) {
+    await chrome.alarms.clear('resume-tracking');
+
+    if (!mode) {
+      await LibraryStore.removeValues(['trackingPause']);
+      console.log('VIBRARY: Tracking resumed');
+      return null;
+    }
+
+    const pause = { mode, since: Date.now(), until: null };
+    if (mode === '1h') {
+      pause.until = pause.since + 60 * 60 * 1000;
+      chrome.alarms.create('resume-tracking', { when: pause.until });
+    }
+
+    await LibraryStore.setValues({ trackingPause: pause });
+    console.log(`VIBRARY: Tracking paused (${mode})`);
+    return pause;
+  }
+
+  isPauseActive(pause) {
+    return !!pause && (!pause.until || pause.until > Date.now());
+  }
+
+  async clearSessionPause() {
+    const { trackingPause } = await chrome.storage.local.get(['trackingPause']);
+    if (trackingPause?.mode === 'session') {
+      await this.setTrackingPause(null);
+    }
+  }
+
+  // The alarm may have been missed while the browser was closed
+  async checkExpiredPause() {
+    const { trackingPause } = await chrome.storage.local.get(['trackingPause']);
+    if (trackingPause && !this.isPauseActive(trackingPause)) {
+      await this.setTrackingPause(null);
+    } else {
+      await this.updatePauseBadge();
+    }
+  }
+
+  // A global badge while paused; per-tab flashes fall back to it
+  async updatePauseBadge() {
+    const { trackingPause } = await chrome.storage.local.get(['trackingPause']);
+    const paused = this.isPauseActive(trackingPause);
+
+    await chrome.action.setBadgeBackgroundColor({ color: '#64748b' });
+    await chrome.action.setBadgeText({ text: paused ? '⏸' : '' });
+    await chrome.action.setTitle({ title: paused ? 'VIBRARY - Tracking paused' : 'VIBRARY - Your Video Library' });
+  }
+
+  // Ask the tab's content script to act on its video and flash the result on the toolbar icon.
+  // Without a frame ID every frame gets the message and the one with a video answers.
+  async sendVideoCommand(tab, message, frameId) {
+    if (!tab?.id) return null;
+
+    let response = null;
+    try {
+      response = await chrome.tabs.sendMessage(tab.id, message, frameId !== undefined ? { frameId } : undefined);
+    } catch (e) {
+      // No content script (browser pages) or no frame with a video
+    }
+
+    this.flashBadge(tab.id, !!response?.success);
+    return response;
+  }
 
-    // Check for auto-cleanup every hour
-    this.cleanupCheckInterval = setInterval(() => this.checkAutoCleanup(), 3600000);
+  flashBadge(tabId, success) {
+    chrome.action.setBadgeBackgroundColor({ tabId, color: success ? '#22c55e' : '#ef4444' });
+    chrome.action.setBadgeText({ tabId, text: success ? '✓' : '✗' });
+    setTimeout(() => {
+      // Restore the global badge (the pause indicator, if any)
+      chrome.action.setBadgeBackgroundColor({ tabId, color: '#64748b' }).catch(() => {});
+      chrome.action.setBadgeText({ tabId, text: null }).catch(() => {});
+    }, 2000);
+  }
+
+  registerJobs() {
+    Maintenance.register('auto-cleanup', {
+      label: 'Auto-cleanup',
+      periodMinutes: 60,
+      run: () => this.checkAutoCleanup()
+    });
+    Maintenance.register('storage-check', {
+      label: 'Storage check',
+      periodMinutes: 5,
+      run: () => this.checkStorage()
+    });
+    Maintenance.register('trash-purge', {
+      label: 'Trash',
+      periodMinutes: 60,
+      run: () => this.purgeExpiredTrash()
+    });
+    Maintenance.register('backup', {
+      label: 'Automatic backup',
+      periodMinutes: 60,
+      run: () => this.runScheduledBackup()
+    });
+    Maintenance.register('thumbnail-prune', {
+      label: 'Unused thumbnails',
+      periodMinutes: 24 * 60,
+      run: async () => `Removed ${await this.pruneThumbnails()} thumbnails`
+    });
   }
 
   async handleInstall(details) {
     console.log(`VIBRARY: ${details.reason} - v${details.previousVersion || 'new'} → v${this.version}`);
 
     if (details.reason === 'install') {
-      // Fresh install with dual storage system
-      await chrome.storage.local.set({
-        historyVideos: {},
-        libraryVideos: {},
+      // Fresh install with per-video storage
+      await LibraryStore.enqueue(() => chrome.storage.local.set({
+        videoIndex: {},
         playlists: {},
         blacklist: [],
         blacklistEnabled: false,
-        cleanupInterval: 'off',
+        cleanupPolicy: CleanupPolicy.normalize(),
+        trashRetentionDays: 30,
         lastCleanupTime: Date.now(),
+        schemaVersion: SchemaMigrations.CURRENT_VERSION,
         version: this.version
-      });
+      }));
       console.log('VIBRARY: Fresh install complete');
 
     } else if (details.reason === 'update') {
-      // Migrate if needed
-      await this.migrate();
+      // Migrate if needed; migrations write storage directly, so they run as one queued task
+      await LibraryStore.enqueue(async () => {
+        await this.migrate();
 
-      // Update version
-      await chrome.storage.local.set({ version: this.version });
+        // Update version
+        await chrome.storage.local.set({ version: this.version });
+      });
       console.log('VIBRARY: Update complete');
     }
   }
 
   async migrate() {
+    // Schema steps shared with imports and backup restores
+    await SchemaMigrations.migrateStorage();
     const data = await chrome.storage.local.get(null);
 
-    // Migrate from single to dual storage if needed
-    if (data.videos && !data.historyVideos) {
-      console.log('VIBRARY: Migrating from single to dual storage');
-
-      const videos = data.videos;
-      const playlists = data.playlists || {};
-
-      // Get all video IDs in playlists
-      const playlistVideoIds = new Set();
-      Object.values(playlists).forEach(videoIds => {
-        if (Array.isArray(videoIds)) {
-          videoIds.forEach(id => playlistVideoIds.add(id));
-        }
-      });
-
-      // Create dual storage
-      const historyVideos = {};
-      const libraryVideos = {};
-
-      for (const [id, video] of Object.entries(videos)) {
-        // All videos go to history
-        historyVideos[id] = video;
-
-        // Videos in playlists also go to library
-        if (playlistVideoIds.has(id)) {
-          libraryVideos[id] = { ...video };
-        }
-      }
-
-      // Save migrated data
-      await chrome.storage.local.set({
-        historyVideos,
-        libraryVideos,
-        playlists,
-        lastCleanupTime: Date.now()
-      });
-
-      // Remove old storage
-      await chrome.storage.local.remove(['videos']);
-
-      console.log(`VIBRARY: Migrated ${Object.keys(historyVideos).length} to history, ${Object.keys(libraryVideos).length} to library`);
-    }
-
     // Set defaults for missing values
     const defaults = {
-      cleanupInterval: 'off',
+      cleanupPolicy: CleanupPolicy.fromInterval(data.cleanupInterval || 'off'),
+      trashRetentionDays: 30,
       lastCleanupTime: Date.now(),
       blacklist: [],
       blacklistEnabled: false
@@ -131,107 +346,377 @@ class VibraryBackground {
       await chrome.storage.local.set(updates);
       console.log('VIBRARY: Set default values:', Object.keys(updates));
     }
+
+    // The cleanup interval became the policy's maximum age
+    if (data.cleanupInterval !== undefined) {
+      await chrome.storage.local.remove(['cleanupInterval']);
+    }
   }
 
-  async checkStorage() {
-    try {
-      const bytesUsed = await chrome.storage.local.getBytesInUse();
-      const maxBytes = chrome.storage.local.QUOTA_BYTES;
-      const percent = (bytesUsed / maxBytes * 100).toFixed(1);
+  // Save frames sent by the content script; new frames arrive as data URLs, kept ones as refs.
+  // Runs as one queued write so a concurrent prune can't remove frames before they are referenced.
+  storeThumbnails({ videoId, videoKey, primaryTime, frames }) {
+    return LibraryStore.change(async (library) => {
+      // Find the entry by ID, or by canonical URL if it was saved under another ID
+      let id = library.index[videoId] ? videoId : null;
+      if (!id && videoKey) {
+        id = LibraryStore.findByKey(library.index, videoKey);
+      }
+      const stored = id && await LibraryStore.getRecord(library, id);
+      if (!stored) return false;
+
+      const collection = [];
+      for (const frame of frames) {
+        const { thumbnail, ...rest } = frame;
+        if (thumbnail?.startsWith('data:')) {
+          rest.ref = await ThumbnailStore.put(id, frame.time, await ThumbnailStore.dataUrlToBlob(thumbnail));
+        }
+        if (rest.ref) collection.push(rest);
+      }
+      if (collection.length === 0) return false;
+
+      const primary = collection.find(frame => frame.time === primaryTime) || collection[0];
+
+      // Frames dropped from the collection may still be used by the trash or a backup snapshot;
+      // pruneThumbnails() removes them once nothing does
+      LibraryStore.putVideo(library, id, {
+        ...stored,
+        thumbnailRef: primary.ref,
+        thumbnailCollection: collection
+      });
+      return collection;
+    }).then(collection => collection || null);
+  }
 
-      if (percent > 80) {
-        console.warn(`⚠️ VIBRARY: Storage at ${percent}% (${(bytesUsed / 1024 / 1024).toFixed(1)}MB used)`);
+  // Download media session artwork, shrink it and store it as the video's thumbnail
+  async cacheArtwork(videoId, url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Artwork request failed: ${response.status}`);
+    }
+
+    const settings = await ThumbnailEncoder.loadSettings();
+    const blob = await this.encodeImage(await response.blob(), settings);
+    await LibraryStore.change(async (library) => {
+      if (!library.index[videoId]) return false;
+      const thumbnailRef = await ThumbnailStore.put(videoId, 'artwork', blob);
+      return LibraryStore.patchRecord(library, videoId, () => ({ thumbnailRef }));
+    });
+  }
+
+  // Scale and encode an image blob according to the thumbnail settings
+  async encodeImage(blob, settings) {
+    const bitmap = await createImageBitmap(blob);
+    const canvas = new OffscreenCanvas(1, 1);
+    ThumbnailEncoder.drawScaled(bitmap, bitmap.width, bitmap.height, settings, canvas);
+    bitmap.close();
+    return ThumbnailEncoder.encode(canvas, settings);
+  }
 
-        // Emergency cleanup if critical
-        if (percent > 90) {
-          await this.emergencyCleanup();
+  // Apply the current thumbnail settings to the stored library
+  async reencodeThumbnails() {
+    const settings = await ThumbnailEncoder.loadSettings();
+
+    // Trim collections to the frame limit, keeping the primary frame and the best-scored ones
+    await LibraryStore.change(async (library) => {
+      const records = await LibraryStore.loadRecords(library, Object.keys(library.index));
+      for (const [id, video] of Object.entries(records)) {
+        const collection = video.thumbnailCollection;
+        if (!collection || collection.length <= settings.maxFrames) continue;
+
+        LibraryStore.putVideo(library, id, {
+          ...video,
+          thumbnailCollection: [...collection]
+              .sort((a, b) => (b.ref === video.thumbnailRef) - (a.ref === video.thumbnailRef) ||
+                  (b.score || 0) - (a.score || 0))
+              .slice(0, settings.maxFrames)
+              .sort((a, b) => a.time - b.time)
+        });
+      }
+    });
+    await this.pruneThumbnails();
+
+    // Re-encode one frame at a time to keep memory use low
+    const type = ThumbnailEncoder.MIME_TYPES[settings.format];
+    const stats = { count: 0, bytesBefore: 0, bytesAfter: 0 };
+
+    for (const key of await ThumbnailStore.keys()) {
+      const original = await ThumbnailStore.get(key);
+      if (!original) continue;
+
+      let blob = original;
+      try {
+        const encoded = await this.encodeImage(original, settings);
+        // Re-encoding in the same format can't add detail - only keep it if it saves space
+        if (encoded.size < original.size || (encoded.type === type && original.type !== type)) {
+          await ThumbnailStore.replaceBlob(key, encoded);
+          blob = encoded;
+          stats.count++;
         }
+      } catch (e) {
+        console.warn(`VIBRARY: Failed to re-encode thumbnail ${key}:`, e);
+      }
+
+      stats.bytesBefore += original.size;
+      stats.bytesAfter += blob.size;
+    }
+
+    console.log(`VIBRARY: Re-encoded ${stats.count} thumbnails (${stats.bytesBefore} → ${stats.bytesAfter} bytes)`);
+    return stats;
+  }
+
+  // Delete stored frames that no history, library, trash or backup snapshot entry uses any more;
+  // returns how many
+  pruneThumbnails() {
+    return LibraryStore.enqueue(async () => {
+      const refs = ThumbnailStore.collectRefs(
+          await LibraryStore.getAllRecords(),
+          await LibraryStore.getTrashedVideos(),
+          ...await BackupStore.videoMaps()
+      );
+      const removed = await ThumbnailStore.prune(refs);
+      if (removed > 0) {
+        console.log(`VIBRARY: Removed ${removed} unused thumbnails`);
+      }
+      return removed;
+    });
+  }
+
+  async storageUsage() {
+    const bytesUsed = await chrome.storage.local.getBytesInUse();
+    return { bytesUsed, percent: (bytesUsed / chrome.storage.local.QUOTA_BYTES * 100).toFixed(1) };
+  }
+
+  // Maintenance job; errors reach the job's status
+  async checkStorage() {
+    const { bytesUsed, percent } = await this.storageUsage();
+    const usage = `Storage at ${percent}% (${(bytesUsed / 1024 / 1024).toFixed(1)}MB used)`;
+
+    if (percent > 80) {
+      console.warn(`⚠️ VIBRARY: ${usage}`);
+
+      // Emergency cleanup if critical
+      if (percent > 90) {
+        const removed = await this.emergencyCleanup();
+        return `${usage}, emergency cleanup removed ${removed} videos`;
       }
-    } catch (e) {
-      console.error('Storage check error:', e);
     }
+    return usage;
+  }
+
+  async getCleanupPolicy() {
+    const { cleanupPolicy, cleanupInterval } = await chrome.storage.local.get(['cleanupPolicy', 'cleanupInterval']);
+    return cleanupPolicy ? CleanupPolicy.normalize(cleanupPolicy) : CleanupPolicy.fromInterval(cleanupInterval || 'off');
   }
 
+  // What the policy removes and slims down, inside a LibraryStore change. Stripping only applies to
+  // videos with frames beyond their main thumbnail. Returns { remove: [{ id, reason }], strip: [id] }.
+  async planCleanup(library, policy) {
+    const plan = CleanupPolicy.plan(library.index, library.playlists, policy);
+    const records = await LibraryStore.loadRecords(library, plan.strip);
+    plan.strip = plan.strip.filter(id => records[id] &&
+        (records[id].thumbnailCollection || []).length > CleanupPolicy.strippedFrames(records[id]).length);
+    return plan;
+  }
+
+  // Maintenance job, run hourly and when the cleanup settings change
   async checkAutoCleanup() {
-    try {
-      const data = await chrome.storage.local.get([
-        'cleanupInterval',
-        'historyVideos',
-        'playlists',
-        'libraryVideos',
-        'lastCleanupTime'
-      ]);
-
-      const cleanupInterval = data.cleanupInterval || 'off';
-      const historyVideos = data.historyVideos || {};
-      const playlists = data.playlists || {};
-      const lastCleanupTime = data.lastCleanupTime || Date.now();
-
-      if (cleanupInterval === 'off') {
-        return;
+    // Decide and remove in one queued write so no detection lands in between
+    const result = await LibraryStore.change(async (library) => {
+      const policy = await this.getCleanupPolicy();
+      if (CleanupPolicy.isDisabled(policy)) {
+        return false;
       }
 
-      // Check if enough time has passed since last cleanup (minimum 1 hour)
-      const hoursSinceLastCleanup = (Date.now() - lastCleanupTime) / (1000 * 60 * 60);
-      if (hoursSinceLastCleanup < 1) {
-        return;
+      // Remove ONLY from history - playlist videos are never in the plan
+      const { remove, strip } = await this.planCleanup(library, policy);
+      if (remove.length > 0) {
+        await LibraryStore.moveToTrash(library, 'Auto-cleanup', remove.map(({ id }) => id));
       }
+      remove.forEach(({ id }) => LibraryStore.removeFromHistory(library, id));
+      strip.forEach(id => {
+        const video = library.records[id];
+        LibraryStore.putVideo(library, id, { ...video, thumbnailCollection: CleanupPolicy.strippedFrames(video) });
+      });
+      library.values.lastCleanupTime = Date.now();
 
-      const intervalDays = parseInt(cleanupInterval);
-      if (isNaN(intervalDays) || intervalDays <= 0) {
-        console.error('VIBRARY: Invalid cleanup interval:', cleanupInterval);
-        return;
+      if (remove.length > 0 || strip.length > 0) {
+        console.log(`✅ VIBRARY: Cleaned up ${remove.length} videos, removed preview frames of ${strip.length}`);
       }
+      return { removed: remove.length, stripped: strip.length };
+    });
 
-      const cutoffTime = Date.now() - (intervalDays * 24 * 60 * 60 * 1000);
+    if (!result) {
+      return 'Auto-cleanup is off';
+    }
+    if (result.removed > 0 || result.stripped > 0) {
+      await this.pruneThumbnails();
+    }
+    return `Removed ${result.removed} videos, slimmed ${result.stripped}`;
+  }
 
-      // Get video IDs that are in playlists (these are PROTECTED)
-      const protectedVideoIds = new Set();
-      Object.values(playlists).forEach(videoIds => {
-        if (Array.isArray(videoIds)) {
-          videoIds.forEach(id => protectedVideoIds.add(id));
-        }
+  // Dry run of a policy: the videos it would remove or strip and the space that frees, without
+  // changing anything. Frames still used by a video that stays don't count.
+  async previewCleanup(policy) {
+    policy = CleanupPolicy.normalize(policy);
+    let preview = null;
+
+    // A change that returns false, so it sees the same state a cleanup would and writes nothing
+    await LibraryStore.change(async (library) => {
+      const { remove, strip } = await this.planCleanup(library, policy);
+      const records = await LibraryStore.loadRecords(library, remove.map(({ id }) => id));
+      const recordSize = (id, video) => LibraryStore.recordKey(id).length + JSON.stringify(video).length;
+
+      preview = { remove: [], strip: [], storageBytes: 0, thumbnailBytes: 0 };
+      const freedRefs = new Set();
+      const removedIds = new Set(remove.map(({ id }) => id));
+
+      remove.forEach(({ id, reason }) => {
+        const video = records[id] || {};
+        preview.remove.push({ id, reason, title: video.title || '', site: library.index[id].site, watchedAt: library.index[id].watchedAt });
+        preview.storageBytes += recordSize(id, video);
+        ThumbnailStore.collectRefs({ [id]: video }).forEach(ref => freedRefs.add(ref));
       });
 
-      // Find videos to remove (ONLY from history, NEVER from library)
-      const toRemove = [];
-      for (const [id, video] of Object.entries(historyVideos)) {
-        // Only remove if: older than cutoff AND not in any playlist
-        if (video.watchedAt < cutoffTime && !protectedVideoIds.has(id)) {
-          toRemove.push(id);
-        }
-      }
+      strip.forEach(id => {
+        const video = library.records[id];
+        const stripped = { ...video, thumbnailCollection: CleanupPolicy.strippedFrames(video) };
+        preview.strip.push({ id, title: video.title || '', frames: video.thumbnailCollection.length - stripped.thumbnailCollection.length });
+        preview.storageBytes += recordSize(id, video) - recordSize(id, stripped);
 
-      if (toRemove.length > 0) {
-        // Remove ONLY from historyVideos
-        toRemove.forEach(id => {
-          delete historyVideos[id];
-        });
+        const kept = ThumbnailStore.collectRefs({ [id]: stripped });
+        ThumbnailStore.collectRefs({ [id]: video }).forEach(ref => !kept.has(ref) && freedRefs.add(ref));
+      });
 
-        // Save updated history and update last cleanup time
-        await chrome.storage.local.set({
-          historyVideos,
-          lastCleanupTime: Date.now()
+      // Frames shared with videos that stay (merged duplicates, kept thumbnails, the trash) aren't freed
+      if (freedRefs.size > 0) {
+        const remaining = { ...await LibraryStore.getAllRecords(), ...await LibraryStore.getTrashedVideos() };
+        removedIds.forEach(id => delete remaining[id]);
+        strip.forEach(id => {
+          remaining[id] = { ...remaining[id], thumbnailCollection: CleanupPolicy.strippedFrames(remaining[id]) };
         });
+        const stillUsed = ThumbnailStore.collectRefs(remaining);
 
-        console.log(`✅ VIBRARY: Cleaned up ${toRemove.length} videos older than ${intervalDays} days`);
-      } else {
-        // Still update last cleanup time
-        await chrome.storage.local.set({ lastCleanupTime: Date.now() });
+        for (const ref of freedRefs) {
+          if (stillUsed.has(ref)) continue;
+          preview.thumbnailBytes += (await ThumbnailStore.get(ref))?.size || 0;
+        }
       }
-    } catch (e) {
-      console.error('Auto-cleanup error:', e);
+
+      return false;
+    });
+    return preview;
+  }
+
+  // Maintenance job: trash entries older than the retention period go for good
+  async purgeExpiredTrash() {
+    const { trashRetentionDays = 30 } = await chrome.storage.local.get(['trashRetentionDays']);
+    const purged = await LibraryStore.purgeExpiredTrash(trashRetentionDays);
+    if (purged > 0) {
+      await this.pruneThumbnails();
     }
+    return `Emptied ${purged} entries older than ${trashRetentionDays} days`;
   }
 
+  // Maintenance job: checks hourly whether a daily or weekly snapshot is due
+  async runScheduledBackup() {
+    const { backupSettings } = await chrome.storage.local.get(['backupSettings']);
+    const settings = BackupStore.normalize(backupSettings);
+    if (settings.frequency === 'off') {
+      return 'Automatic backups are off';
+    }
+
+    // An hour of slack so the hourly check doesn't push daily snapshots later each day
+    const [latest] = await BackupStore.list();
+    if (latest && Date.now() - latest.createdAt < BackupStore.INTERVALS[settings.frequency] - 60 * 60 * 1000) {
+      return 'Latest snapshot is recent';
+    }
+
+    const snapshot = await this.createSnapshot();
+    return `Saved a snapshot of ${snapshot.videoCount} videos`;
+  }
+
+  // Snapshot the library and settings, drop the oldest snapshots beyond the rotation count, and
+  // save a copy to Downloads if enabled. Returns the snapshot's summary.
+  async createSnapshot() {
+    const data = await chrome.storage.local.get(['backupSettings', ...BackupStore.SETTINGS_KEYS]);
+    const { backupSettings, ...settings } = data;
+    const options = BackupStore.normalize(backupSettings);
+
+    // Read in the queue so no write lands halfway through
+    const { library, thumbnailRefs } = await LibraryStore.enqueue(() => LibraryStore.exportLibrary());
+    const backup = {
+      ...library,
+      ...settings,
+      exportDate: new Date().toISOString(),
+      version: chrome.runtime.getManifest().version
+    };
+
+    const summary = await BackupStore.add(backup);
+    await BackupStore.rotate(options.keep);
+    console.log(`VIBRARY: Saved backup snapshot of ${summary.videoCount} videos`);
+
+    if (options.download) {
+      await this.downloadBackup(backup, thumbnailRefs, options.folder);
+    }
+    return summary;
+  }
+
+  // The file has the Export format, thumbnails included, so Import reads it
+  async downloadBackup(backup, thumbnailRefs, folder) {
+    const thumbnails = {};
+    for (const ref of thumbnailRefs) {
+      const blob = await ThumbnailStore.get(ref);
+      if (blob) thumbnails[ref] = await ThumbnailStore.blobToDataUrl(blob);
+    }
+
+    // Service workers have no object URLs, so the file goes as a data URL
+    const json = JSON.stringify({ ...backup, thumbnails });
+    const stamp = backup.exportDate.slice(0, 16).replace('T', '-').replace(':', '');
+    await chrome.downloads.download({
+      url: `data:application/json;charset=utf-8,${encodeURIComponent(json)}`,
+      filename: `${folder}/vibrary-backup-${stamp}.json`,
+      conflictAction: 'uniquify',
+      saveAs: false
+    });
+  }
+
+  // Merge a snapshot into the library the way Import does; its settings replace the current ones.
+  // Returns the number of history videos afterwards.
+  async restoreSnapshot(id) {
+    const backup = await BackupStore.get(id);
+    if (!backup) {
+      throw new Error('Snapshot not found');
+    }
+
+    // Settings were stored normalized when the snapshot was taken
+    const settings = Object.fromEntries(BackupStore.SETTINGS_KEYS
+        .filter(key => backup[key] !== undefined)
+        .map(key => [key, backup[key]]));
+
+    const total = await LibraryStore.importLibrary(backup, settings);
+    console.log(`VIBRARY: Restored backup snapshot ${id}`);
+    return total;
+  }
+
+  // Returns the number of videos removed from history. The trash shares the storage quota, so it
+  // is emptied first, and what this cleanup removes is deleted for good.
   async emergencyCleanup() {
     console.log('🚨 VIBRARY: Running emergency cleanup (storage > 90%)');
 
-    try {
-      const data = await chrome.storage.local.get(['historyVideos', 'libraryVideos', 'playlists']);
-      const historyVideos = data.historyVideos || {};
-      const playlists = data.playlists || {};
-      const libraryVideosBefore = Object.keys(data.libraryVideos || {}).length;
+    if (await LibraryStore.purgeTrash() > 0) {
+      await this.pruneThumbnails();
+      if ((await this.storageUsage()).percent <= 90) {
+        console.log('✅ VIBRARY: Emptying the trash freed enough space');
+        return 0;
+      }
+    }
+
+    const libraryVideosBefore = (await LibraryStore.countVideos()).library;
+
+    // Remove ONLY from history, working from the index instead of loading every video
+    const removed = await LibraryStore.change((library) => {
+      const { index, playlists } = library;
 
       // Get video IDs that are in playlists (PROTECTED - never delete these)
       const protectedVideoIds = new Set();
@@ -242,37 +727,35 @@ class VibraryBackground {
       });
 
       // Sort history videos by date (oldest first)
-      const historyEntries = Object.entries(historyVideos)
-          .filter(([id]) => !protectedVideoIds.has(id)) // Only consider unprotected videos
+      const historyEntries = Object.entries(index)
+          .filter(([id, entry]) => entry.history && !protectedVideoIds.has(id)) // Only consider unprotected videos
           .sort(([, a], [, b]) => a.watchedAt - b.watchedAt);
 
       // Remove oldest 30% of unprotected history
       const toRemove = Math.max(10, Math.floor(historyEntries.length * 0.3));
-      let removed = 0;
+      let count = 0;
 
-      for (const [id, video] of historyEntries) {
-        if (removed >= toRemove) break;
-        delete historyVideos[id];
-        removed++;
+      for (const [id] of historyEntries) {
+        if (count >= toRemove) break;
+        LibraryStore.removeFromHistory(library, id);
+        count++;
       }
+      return count || false;
+    });
 
-      if (removed > 0) {
-        // Save ONLY historyVideos
-        await chrome.storage.local.set({ historyVideos });
-        console.log(`✅ VIBRARY: Emergency cleanup removed ${removed} old history items`);
+    if (removed > 0) {
+      console.log(`✅ VIBRARY: Emergency cleanup removed ${removed} old history items`);
+      await this.pruneThumbnails();
 
-        // Verify library wasn't touched
-        const newData = await chrome.storage.local.get(['libraryVideos']);
-        const libraryVideosAfter = Object.keys(newData.libraryVideos || {}).length;
-        console.log(`VIBRARY: Library videos: ${libraryVideosBefore} → ${libraryVideosAfter} (should be unchanged)`);
+      // Verify library wasn't touched
+      const libraryVideosAfter = (await LibraryStore.countVideos()).library;
+      console.log(`VIBRARY: Library videos: ${libraryVideosBefore} → ${libraryVideosAfter} (should be unchanged)`);
 
-        if (libraryVideosBefore !== libraryVideosAfter) {
-          console.error('⚠️ WARNING: Library videos count changed during cleanup!');
-        }
+      if (libraryVideosBefore !== libraryVideosAfter) {
+        console.error('⚠️ WARNING: Library videos count changed during cleanup!');
       }
-    } catch (e) {
-      console.error('Emergency cleanup error:', e);
     }
+    return removed || 0;
   }
 }
 
@@ -0,0 +1,137 @@
+// VIBRARY Backup Store - automatic snapshots of the library and settings in the extension's IndexedDB,
+// outside the chrome.storage quota. Summaries are kept apart from the backups so listing them stays
+// cheap. Snapshots have the format of an exported file without the thumbnails. Shared by the
+// background worker (creating, rotating and restoring) and popup (listing and settings).
+class BackupStore {
+  static DB_NAME = 'vibrary-backups';
+  static SUMMARIES = 'summaries';
+  static BACKUPS = 'backups';
+
+  static DEFAULTS = {
+    frequency: 'off',          // 'off', 'daily' or 'weekly'
+    keep: 5,                   // snapshots kept, oldest go first
+    download: false,           // also save each snapshot as a file
+    folder: 'VIBRARY Backups'  // subfolder of Downloads for those files
+  };
+
+  static INTERVALS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+  };
+
+  // Settings that go into backups next to the library
+  static SETTINGS_KEYS = [
+    'blacklist', 'blacklistEnabled', 'siteRulesMode', 'engagementSettings', 'ratingPromptSettings',
+    'cleanupPolicy', 'trashRetentionDays', 'thumbnailSettings'
+  ];
+
+  static normalize(settings) {
+    const merged = { ...this.DEFAULTS, ...(settings || {}) };
+    if (!['off', 'daily', 'weekly'].includes(merged.frequency)) merged.frequency = 'off';
+    merged.keep = Math.min(30, Math.max(1, parseInt(merged.keep) || this.DEFAULTS.keep));
+    merged.download = !!merged.download;
+    // Downloads only accepts relative paths without '..' or reserved characters
+    merged.folder = (merged.folder || '').split(/[\\/]/)
+        .map(part => part.replace(/[<>:"|?*\x00-\x1f]/g, '').trim())
+        .filter(part => part && part !== '.' && part !== '..')
+        .join('/') || this.DEFAULTS.folder;
+    return merged;
+  }
+
+  static open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.DB_NAME, 1);
+
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.SUMMARIES, { keyPath: 'id' });
+          request.result.createObjectStore(this.BACKUPS, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Run requests against both stores and resolve with the returned request's result once the transaction completes
+  static async run(mode, makeRequest) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([this.SUMMARIES, this.BACKUPS], mode);
+      const request = makeRequest(tx.objectStore(this.SUMMARIES), tx.objectStore(this.BACKUPS));
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Counts and dates shown before restoring
+  static summarize(backup) {
+    const entries = Object.values(backup.videoIndex || {});
+    const watched = entries.map(entry => entry.watchedAt).filter(Boolean);
+    return {
+      videoCount: entries.length,
+      historyCount: entries.filter(entry => entry.history).length,
+      playlistCount: Object.keys(backup.playlists || {}).length,
+      oldestWatchedAt: watched.length ? Math.min(...watched) : null,
+      newestWatchedAt: watched.length ? Math.max(...watched) : null,
+      schemaVersion: backup.schemaVersion,
+      version: backup.version
+    };
+  }
+
+  // Returns the new snapshot's summary
+  static async add(backup) {
+    const summary = { id: `${Date.now()}`, createdAt: Date.now(), ...this.summarize(backup) };
+    await this.run('readwrite', (summaries, backups) => {
+      summaries.put(summary);
+      return backups.put({ id: summary.id, backup });
+    });
+    return summary;
+  }
+
+  // Summaries, newest first
+  static async list() {
+    const summaries = (await this.run('readonly', summaries => summaries.getAll())) || [];
+    return summaries.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  static async get(id) {
+    const record = await this.run('readonly', (summaries, backups) => backups.get(id));
+    return record?.backup || null;
+  }
+
+  static async delete(ids) {
+    if (!ids.length) return;
+    await this.run('readwrite', (summaries, backups) => {
+      ids.forEach(id => {
+        summaries.delete(id);
+        backups.delete(id);
+      });
+      return null;
+    });
+  }
+
+  // The video records of every snapshot, one { key: record } map each. Snapshots leave the thumbnails
+  // in the thumbnail store, so these keep them from being pruned.
+  static async videoMaps() {
+    const maps = [];
+    for (const { id } of await this.list()) {
+      const backup = await this.get(id);
+      maps.push(Object.fromEntries(Object.entries(backup || {}).filter(([key]) => key.startsWith('video:'))));
+    }
+    return maps;
+  }
+
+  // Keep the newest snapshots; returns how many were deleted
+  static async rotate(keep) {
+    const old = (await this.list()).slice(keep).map(summary => summary.id);
+    await this.delete(old);
+    return old.length;
+  }
+}
@@ -0,0 +1,123 @@
+// VIBRARY Bookmark Prompt - confirms a new bookmark in the page and takes an optional note.
+// Lives in a closed shadow root, like the rating prompt.
+class BookmarkPrompt {
+  // Closes by itself unless the user starts typing a note
+  static AUTO_DISMISS = 6000;
+
+  // options: { time, frame (data URL or null), onSave(note) }
+  static show(options) {
+    this.hide();
+
+    const host = document.createElement('vibrary-bookmark-prompt');
+    const root = host.attachShadow({ mode: 'closed' });
+    root.innerHTML = `
+      <style>${this.STYLES}</style>
+      <form class="prompt" role="dialog" aria-label="Bookmark added">
+        <img class="frame" alt="">
+        <div class="body">
+          <div class="label">Bookmarked <span class="time"></span></div>
+          <input class="note" type="text" placeholder="Add a note (Enter to save)" maxlength="500">
+        </div>
+      </form>`;
+
+    root.querySelector('.time').textContent = this.formatTime(options.time);
+
+    const frame = root.querySelector('.frame');
+    if (options.frame) {
+      frame.src = options.frame;
+    } else {
+      frame.remove();
+    }
+
+    const input = root.querySelector('.note');
+    let timer = setTimeout(() => this.hide(), this.AUTO_DISMISS);
+    input.addEventListener('focus', () => clearTimeout(timer));
+    input.addEventListener('keydown', e => {
+      // Keep page shortcuts (space, arrows, k) from firing while typing
+      e.stopPropagation();
+      if (e.key === 'Escape') this.hide();
+    });
+    root.querySelector('.prompt').addEventListener('submit', async e => {
+      e.preventDefault();
+      const note = input.value.trim();
+      if (note) await options.onSave(note);
+      this.hide();
+    });
+
+    (document.fullscreenElement || document.documentElement).appendChild(host);
+    this.current = { host, cancel: () => clearTimeout(timer) };
+  }
+
+  static hide() {
+    if (!this.current) return;
+    this.current.cancel();
+    this.current.host.remove();
+    this.current = null;
+  }
+
+  static formatTime(seconds) {
+    const total = Math.floor(seconds || 0);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+  }
+
+  static STYLES = `
+    :host {
+      all: initial;
+      position: fixed;
+      left: 50%;
+      top: 20px;
+      transform: translateX(-50%);
+      z-index: 2147483647;
+    }
+    .prompt {
+      display: flex;
+      gap: 10px;
+      align-items: center;
+      width: 320px;
+      margin: 0;
+      padding: 10px 12px;
+      background: #1a1a1a;
+      color: #f5f5f5;
+      border: 1px solid #333;
+      border-radius: 12px;
+      box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5);
+      font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    }
+    .frame {
+      width: 80px;
+      height: 45px;
+      object-fit: cover;
+      border-radius: 6px;
+      flex-shrink: 0;
+    }
+    .body {
+      flex: 1;
+      min-width: 0;
+    }
+    .label {
+      font-weight: 600;
+      margin-bottom: 6px;
+    }
+    .time {
+      color: #3b82f6;
+    }
+    .note {
+      box-sizing: border-box;
+      width: 100%;
+      padding: 5px 8px;
+      background: #262626;
+      color: #f5f5f5;
+      border: 1px solid #404040;
+      border-radius: 6px;
+      font: inherit;
+      font-size: 12px;
+    }
+    .note:focus {
+      outline: none;
+      border-color: #3b82f6;
+    }
+  `;
+}
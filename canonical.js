@@ -0,0 +1,124 @@
+// VIBRARY URL canonicalization - shared by content script, background and popup
+class UrlCanonicalizer {
+  // Query parameters that never identify content
+  static TRACKING_PARAMS = [
+    'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid',
+    'si', 'ref_src', 'ref_url', '_hsenc', '_hsmi', 'spm', 'feature', 'pp'
+  ];
+
+  // Returns { key, url } where key identifies the video and url is a clean link to it
+  static canonicalize(url) {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch (e) {
+      return { key: url || '', url: url || '' };
+    }
+
+    const hostname = urlObj.hostname.toLowerCase().replace(/^(www|m)\./, '');
+
+    return this.youtube(urlObj, hostname) ||
+        this.vimeo(urlObj, hostname) ||
+        this.twitch(urlObj, hostname) ||
+        this.dailymotion(urlObj, hostname) ||
+        this.generic(urlObj, hostname);
+  }
+
+  // Canonical key of a stored video entry
+  static keyFor(video) {
+    return video.canonicalKey || this.canonicalize(video.url).key;
+  }
+
+  static youtube(urlObj, hostname) {
+    const hosts = ['youtube.com', 'music.youtube.com', 'youtu.be', 'youtube-nocookie.com'];
+    if (!hosts.includes(hostname)) return null;
+
+    let id = null;
+    if (hostname === 'youtu.be') {
+      id = urlObj.pathname.split('/')[1];
+    } else if (urlObj.pathname === '/watch') {
+      id = urlObj.searchParams.get('v');
+    } else {
+      const match = urlObj.pathname.match(/^\/(?:embed|shorts|live|v)\/([\w-]+)/);
+      id = match?.[1];
+    }
+
+    if (!id || !/^[\w-]{6,}$/.test(id)) return null;
+    return { key: `youtube:${id}`, url: `https://www.youtube.com/watch?v=${id}` };
+  }
+
+  static vimeo(urlObj, hostname) {
+    if (hostname !== 'vimeo.com' && hostname !== 'player.vimeo.com') return null;
+
+    // vimeo.com/123, /channels/x/123, /groups/x/videos/123, player.vimeo.com/video/123
+    const match = urlObj.pathname.match(/\/(\d{5,})(?:\/|$)/);
+    if (!match) return null;
+
+    return { key: `vimeo:${match[1]}`, url: `https://vimeo.com/${match[1]}` };
+  }
+
+  static twitch(urlObj, hostname) {
+    if (!['twitch.tv', 'clips.twitch.tv', 'player.twitch.tv'].includes(hostname)) return null;
+
+    const parts = urlObj.pathname.split('/').filter(Boolean);
+
+    if (hostname === 'player.twitch.tv') {
+      const video = urlObj.searchParams.get('video')?.replace(/^v/, '');
+      if (video) return { key: `twitch:video:${video}`, url: `https://www.twitch.tv/videos/${video}` };
+      const channel = urlObj.searchParams.get('channel')?.toLowerCase();
+      if (channel) return { key: `twitch:channel:${channel}`, url: `https://www.twitch.tv/${channel}` };
+      return null;
+    }
+
+    if (hostname === 'clips.twitch.tv' && parts[0]) {
+      return { key: `twitch:clip:${parts[0]}`, url: `https://clips.twitch.tv/${parts[0]}` };
+    }
+
+    if (parts[0] === 'videos' && /^\d+$/.test(parts[1] || '')) {
+      return { key: `twitch:video:${parts[1]}`, url: `https://www.twitch.tv/videos/${parts[1]}` };
+    }
+
+    if (parts[1] === 'clip' && parts[2]) {
+      return { key: `twitch:clip:${parts[2]}`, url: `https://clips.twitch.tv/${parts[2]}` };
+    }
+
+    if (parts.length === 1) {
+      const channel = parts[0].toLowerCase();
+      return { key: `twitch:channel:${channel}`, url: `https://www.twitch.tv/${channel}` };
+    }
+
+    return null;
+  }
+
+  static dailymotion(urlObj, hostname) {
+    let id = null;
+    if (hostname === 'dai.ly') {
+      id = urlObj.pathname.split('/')[1];
+    } else if (hostname === 'dailymotion.com') {
+      id = urlObj.pathname.match(/^\/(?:embed\/)?video\/([a-z0-9]+)/i)?.[1];
+    }
+
+    if (!id) return null;
+    return { key: `dailymotion:${id}`, url: `https://www.dailymotion.com/video/${id}` };
+  }
+
+  static generic(urlObj, hostname) {
+    const params = [...urlObj.searchParams.entries()]
+        .filter(([name]) => !name.toLowerCase().startsWith('utm_') &&
+            !this.TRACKING_PARAMS.includes(name.toLowerCase()))
+        .sort(([a], [b]) => a.localeCompare(b));
+
+    const clean = new URL(urlObj.href);
+    clean.search = new URLSearchParams(params).toString();
+
+    // Keep hash routes used by single-page sites, drop plain anchors
+    if (!/^#!?\//.test(clean.hash)) {
+      clean.hash = '';
+    }
+
+    const path = urlObj.pathname.replace(/\/+$/, '') || '/';
+    const key = `${hostname}${path}${clean.search}${clean.hash}`;
+
+    return { key, url: clean.href };
+  }
+}
@@ -0,0 +1,94 @@
+// VIBRARY Cleanup Policy - which history videos auto-cleanup removes or slims down.
+// Shared by the background worker (planning and applying) and popup (settings and preview).
+// Plans work from the video index alone; videos in a playlist are never touched.
+class CleanupPolicy {
+  static DEFAULTS = {
+    maxAgeDays: 0,      // remove history older than this, 0 = off
+    maxItems: 0,        // keep only the newest this many history videos, 0 = no limit
+    keepRating: 0,      // never remove videos rated at least this, 0 = off
+    stripFramesDays: 0, // drop preview frames of history older than this, 0 = off
+    siteOverrides: []   // [{ site, days }] replacing maxAgeDays on a site; days 0 = keep forever
+  };
+
+  static DAY = 24 * 60 * 60 * 1000;
+
+  static normalize(policy) {
+    const merged = { ...this.DEFAULTS, ...(policy || {}) };
+    ['maxAgeDays', 'maxItems', 'keepRating', 'stripFramesDays'].forEach(field => {
+      merged[field] = Math.max(0, parseInt(merged[field]) || 0);
+    });
+    merged.keepRating = Math.min(5, merged.keepRating);
+    merged.siteOverrides = (merged.siteOverrides || [])
+        .filter(override => override?.site)
+        .map(override => ({ site: override.site.trim().toLowerCase(), days: Math.max(0, parseInt(override.days) || 0) }));
+    return merged;
+  }
+
+  // Settings from before policies only had the 'off' / days interval
+  static fromInterval(cleanupInterval) {
+    return this.normalize({ maxAgeDays: cleanupInterval === 'off' ? 0 : cleanupInterval });
+  }
+
+  static isDisabled(policy) {
+    return !policy.maxAgeDays && !policy.maxItems && !policy.stripFramesDays &&
+        !policy.siteOverrides.some(override => override.days > 0);
+  }
+
+  // One "site days" per line; "never" or 0 keeps the site's history forever
+  static parseSiteOverrides(text) {
+    return text.split('\n')
+        .map(line => line.trim().split(/\s+/))
+        .filter(([site, days]) => site && days !== undefined)
+        .map(([site, days]) => ({
+          site: site.replace(/^[a-z]+:\/\//i, '').replace(/^www\./i, '').split('/')[0].toLowerCase(),
+          days: days.toLowerCase() === 'never' ? 0 : parseInt(days)
+        }))
+        .filter(override => !isNaN(override.days));
+  }
+
+  static formatSiteOverrides(overrides) {
+    return overrides.map(({ site, days }) => `${site} ${days || 'never'}`).join('\n');
+  }
+
+  // Retention in days for a site, 0 for none
+  static retentionFor(site, policy) {
+    const override = policy.siteOverrides.find(o => site === o.site || (site || '').endsWith('.' + o.site));
+    return override ? override.days : policy.maxAgeDays;
+  }
+
+  // Returns { remove: [{ id, reason }], strip: [id] }. Strip candidates still need checking for
+  // extra frames, which only the records show.
+  static plan(index, playlists, policy, now = Date.now()) {
+    const protectedIds = new Set(Object.values(playlists).flat());
+    const remove = [];
+    const strip = [];
+
+    // Newest first, so the position is the rank for maxItems
+    const history = Object.entries(index)
+        .filter(([, entry]) => entry.history)
+        .sort(([, a], [, b]) => (b.watchedAt || 0) - (a.watchedAt || 0));
+
+    history.forEach(([id, entry], position) => {
+      if (protectedIds.has(id)) return;
+
+      const ageDays = (now - (entry.watchedAt || 0)) / this.DAY;
+      const kept = policy.keepRating && (entry.rating || 0) >= policy.keepRating;
+      const retention = this.retentionFor(entry.site, policy);
+
+      if (!kept && retention && ageDays > retention) {
+        remove.push({ id, reason: `Older than ${retention} day${retention === 1 ? '' : 's'}` });
+      } else if (!kept && policy.maxItems && position >= policy.maxItems) {
+        remove.push({ id, reason: `Beyond the newest ${policy.maxItems}` });
+      } else if (policy.stripFramesDays && ageDays > policy.stripFramesDays) {
+        strip.push(id);
+      }
+    });
+
+    return { remove, strip };
+  }
+
+  // The preview frames a stripped video keeps: only its main thumbnail
+  static strippedFrames(video) {
+    return (video.thumbnailCollection || []).filter(frame => frame.ref && frame.ref === video.thumbnailRef);
+  }
+}
@@ -1,12 +1,32 @@
 // VIBRARY Content Script - Final polished version
 class VideoDetector {
+  // Live entries of a channel watched within this long belong to the same broadcast
+  static LIVE_SESSION_GAP = 30 * 60 * 1000;
+
   constructor() {
     this.currentVideo = null;
     this.lastProcessedVideo = null;
     this.activeSessions = new Map(); // Track multiple video sessions
-    this.blacklist = [];
-    this.blacklistEnabled = false;
+    this.siteRules = []; // Parsed rules from the site rules settings
+    this.siteRulesMode = 'block'; // 'block' ignores listed sites, 'allow' only tracks them
+    this.siteRulesEnabled = false;
     this.detectedVideos = new Map(); // Track detected videos by URL
+    this.playbackTrackers = new Map(); // Track playback position per video element
+    this.lastDetection = { key: '', title: '' }; // Last media session detection
+    this.settle = null; // Pending navigation waiting for URL and title to settle
+    this.settleCallbacks = [];
+    this.observedRoots = new WeakSet(); // Document and shadow roots we listen on
+    this.shadowRoots = new Set(); // Open shadow roots that may contain videos
+    this.isEmbedded = window.top !== window; // Running inside an iframe (e.g. a player embed)
+    this.contextTarget = null; // Event path of the last right-click, for context menu commands
+    this.engagementSettings = EngagementThreshold.normalize(); // When playback counts as watching
+    this.userStartedMedia = new WeakSet(); // Media whose last play followed a click or key press
+    this.lastUserGesture = 0;
+    this.trackingPause = null; // { mode, until } while the user has paused tracking
+    this.trackingStopped = false; // Recording was stopped for the current pause
+    this.thumbnailSettings = ThumbnailEncoder.normalize(); // Format, size and budget of captured frames
+    this.ratingPromptSettings = RatingPrompt.normalize(); // When to ask for a rating in the page
+    this.promptedVideos = new Set(); // Videos already asked about on this page
 
     this.init();
   }
@@ -14,145 +34,323 @@ class VideoDetector {
   async init() {
     console.log('🎬 VIBRARY: Video detector started');
 
-    // Load blacklist settings
-    await this.loadBlacklist();
+    // Load site rules
+    await this.loadSiteRules();
+    chrome.storage.onChanged.addListener((changes) => {
+      if (changes.blacklist || changes.blacklistEnabled || changes.siteRulesMode) {
+        this.loadSiteRules();
+      }
+    });
+    await this.loadThumbnailSettings();
+    await this.loadEngagementSettings();
+    await this.loadTrackingPause();
+    await this.loadRatingPromptSettings();
+    this.watchUserGestures();
 
-    // Listen for media session changes
-    this.watchMediaSession();
+    // Listen for navigations and media session changes
+    this.watchNavigation();
 
     // Also watch for playing videos
     this.watchVideoElements();
 
+    // Seek to a position requested by the popup's "Resume" action
+    this.checkPendingResume();
+
+    // Save and rate on request (context menu, keyboard shortcuts, popup button)
+    this.watchManualCommands();
+
     // Clean up old sessions periodically
     setInterval(() => this.cleanupOldSessions(), 30000);
   }
 
-  async loadBlacklist() {
+  // Site rules are stored one per line under the original blacklist keys
+  async loadSiteRules() {
+    try {
+      const data = await chrome.storage.local.get(['blacklist', 'blacklistEnabled', 'siteRulesMode']);
+      this.siteRules = SiteRules.parse(data.blacklist);
+      this.siteRulesEnabled = data.blacklistEnabled || false;
+      this.siteRulesMode = data.siteRulesMode || 'block';
+    } catch (e) {
+      console.error('Failed to load site rules:', e);
+    }
+  }
+
+  async loadThumbnailSettings() {
     try {
-      const data = await chrome.storage.local.get(['blacklist', 'blacklistEnabled']);
-      this.blacklist = data.blacklist || [];
-      this.blacklistEnabled = data.blacklistEnabled || false;
+      this.thumbnailSettings = await ThumbnailEncoder.loadSettings();
     } catch (e) {
-      console.error('Failed to load blacklist:', e);
+      console.error('Failed to load thumbnail settings:', e);
     }
 
-    // Listen for blacklist changes
+    // Listen for thumbnail settings changes
     chrome.storage.onChanged.addListener((changes) => {
-      if (changes.blacklist || changes.blacklistEnabled) {
-        this.loadBlacklist();
+      if (changes.thumbnailSettings) {
+        this.thumbnailSettings = ThumbnailEncoder.normalize(changes.thumbnailSettings.newValue);
       }
     });
   }
 
-  isBlacklisted(url) {
-    if (!this.blacklistEnabled || this.blacklist.length === 0) return false;
+  async loadEngagementSettings() {
+    try {
+      const data = await chrome.storage.local.get(['engagementSettings']);
+      this.engagementSettings = EngagementThreshold.normalize(data.engagementSettings);
+    } catch (e) {
+      console.error('Failed to load engagement settings:', e);
+    }
 
+    chrome.storage.onChanged.addListener((changes) => {
+      if (changes.engagementSettings) {
+        this.engagementSettings = EngagementThreshold.normalize(changes.engagementSettings.newValue);
+      }
+    });
+  }
+
+  async loadTrackingPause() {
     try {
-      const hostname = new URL(url).hostname.toLowerCase();
-      return this.blacklist.some(domain => {
-        const d = domain.toLowerCase();
-        return hostname === d || hostname.endsWith('.' + d);
-      });
+      const data = await chrome.storage.local.get(['trackingPause']);
+      this.trackingPause = data.trackingPause || null;
+      this.trackingStopped = this.isPaused();
     } catch (e) {
-      return false;
+      console.error('Failed to load pause state:', e);
     }
+
+    chrome.storage.onChanged.addListener((changes) => {
+      if (!changes.trackingPause) return;
+      this.trackingPause = changes.trackingPause.newValue || null;
+
+      if (this.isPaused() && !this.trackingStopped) {
+        this.stopTracking();
+      } else if (!this.isPaused() && this.trackingStopped) {
+        this.resumeTracking();
+      }
+    });
   }
 
-  watchMediaSession() {
-    let lastCheck = { title: '', url: '', time: 0 };
+  async loadRatingPromptSettings() {
+    try {
+      const data = await chrome.storage.local.get(['ratingPromptSettings']);
+      this.ratingPromptSettings = RatingPrompt.normalize(data.ratingPromptSettings);
+    } catch (e) {
+      console.error('Failed to load rating prompt settings:', e);
+    }
 
-    // Check media session every 2 seconds
-    setInterval(() => {
-      const metadata = navigator.mediaSession?.metadata;
-      if (!metadata) return;
+    chrome.storage.onChanged.addListener((changes) => {
+      if (changes.ratingPromptSettings) {
+        this.ratingPromptSettings = RatingPrompt.normalize(changes.ratingPromptSettings.newValue);
+      }
+    });
+  }
 
-      const title = metadata.title;
-      const pageUrl = window.location.href;
-      const now = Date.now();
+  // Paused until the user resumes or the pause runs out
+  isPaused() {
+    return !!this.trackingPause && (!this.trackingPause.until || this.trackingPause.until > Date.now());
+  }
 
-      // Skip if nothing changed or too recent
-      if (title === lastCheck.title && pageUrl === lastCheck.url) return;
-      if (now - lastCheck.time < 3000) return; // 3 second cooldown
+  // Keep what was recorded so far and stop recording anything new
+  stopTracking() {
+    console.log('⏸️ Tracking paused');
+    this.trackingStopped = true;
 
-      // Skip if blacklisted
-      if (this.isBlacklisted(pageUrl)) {
-        console.log('⏭️ Skipping blacklisted site');
-        return;
+    for (const session of [...this.activeSessions.values()]) {
+      this.finalizeCapture(session);
+    }
+    for (const [video, tracker] of [...this.playbackTrackers]) {
+      tracker.save();
+      this.stopPlaybackTracking(video);
+    }
+    for (const [key, detection] of [...this.detectedVideos]) {
+      if (detection.pending) this.forgetDetection(key);
+    }
+  }
+
+  // Start over so whatever is playing now is picked up again
+  resumeTracking() {
+    console.log('▶️ Tracking resumed');
+    this.trackingStopped = false;
+    this.detectedVideos.clear();
+    this.lastDetection = { key: '', title: '' };
+    this.scheduleReconcile();
+  }
+
+  // What the site rules say about a URL: { action: 'ignore' | 'track' | 'no-thumbnails', playlist }
+  siteDecision(url) {
+    if (!this.siteRulesEnabled) return { action: 'track', playlist: null, rule: null };
+    return SiteRules.evaluate(url, this.siteRules, this.siteRulesMode);
+  }
+
+  isIgnored(url) {
+    return this.siteDecision(url).action === 'ignore';
+  }
+
+  watchNavigation() {
+    this.injectPageHook();
+
+    // History API navigations (reported by the page hook), back/forward and hash routes
+    const onNavigate = () => {
+      this.promptAfterLeaving();
+      this.scheduleReconcile();
+    };
+    window.addEventListener('vibrary:locationchange', onNavigate);
+    window.addEventListener('popstate', onNavigate);
+    window.addEventListener('hashchange', onNavigate);
+
+    // Fallback for players that swap metadata without navigating
+    setInterval(() => {
+      const title = this.getMediaSessionTitle();
+      if (title && title !== this.lastDetection.title) {
+        this.scheduleReconcile();
       }
+    }, 5000);
 
-      // Skip if URL is just the domain
-      try {
-        const urlObj = new URL(pageUrl);
-        if (urlObj.pathname === '/' && !urlObj.search) {
-          console.log('⏭️ Skipping homepage detection');
-          return;
-        }
-      } catch (e) {}
+    // Initial page load
+    this.scheduleReconcile();
+  }
+
+  injectPageHook() {
+    try {
+      const script = document.createElement('script');
+      script.src = chrome.runtime.getURL('page-hook.js');
+      script.onload = () => script.remove();
+      (document.head || document.documentElement).appendChild(script);
+    } catch (e) {
+      console.warn('Failed to inject page hook:', e);
+    }
+  }
+
+  getMediaSessionTitle() {
+    return navigator.mediaSession?.metadata?.title || '';
+  }
+
+  // Wait for URL and title to stop changing before attributing a detection
+  scheduleReconcile() {
+    const now = Date.now();
+
+    if (this.settle) {
+      // Still settling - new events push the window out
+      this.settle.lastEventAt = now;
+      return;
+    }
+
+    this.settle = {
+      startedAt: now,
+      lastEventAt: now,
+      stableSince: now,
+      url: window.location.href,
+      title: this.getMediaSessionTitle(),
+      previousKey: this.lastDetection.key,
+      previousTitle: this.lastDetection.title
+    };
+
+    this.settleTimer = setInterval(() => this.checkSettled(), 250);
+  }
+
+  checkSettled() {
+    const settle = this.settle;
+    const now = Date.now();
+    const url = window.location.href;
+    const title = this.getMediaSessionTitle();
+
+    if (url !== settle.url || title !== settle.title) {
+      settle.url = url;
+      settle.title = title;
+      settle.stableSince = now;
+    }
+
+    const stable = now - settle.stableSince >= 1000 && now - settle.lastEventAt >= 500;
+    const timedOut = now - settle.startedAt >= 8000;
+    if (!stable && !timedOut) return;
+
+    // After moving to another video the old title often lingers - wait for it to change
+    const movedToNewVideo = settle.previousKey && this.getVideoKey(url) !== settle.previousKey;
+    if (!timedOut && movedToNewVideo && title === settle.previousTitle) return;
+
+    clearInterval(this.settleTimer);
+    this.settle = null;
+
+    this.processMediaSession();
+
+    const callbacks = this.settleCallbacks;
+    this.settleCallbacks = [];
+    callbacks.forEach(callback => callback());
+  }
+
+  // Run a callback once any pending navigation has settled
+  afterSettle(callback) {
+    if (this.settle) {
+      this.settleCallbacks.push(callback);
+    } else {
+      callback();
+    }
+  }
 
-      // Check if there's an actual playing video
-      const video = this.findMainVideo();
-      const isActuallyPlaying = video && !video.paused && video.currentTime > 0;
+  processMediaSession() {
+    const metadata = navigator.mediaSession?.metadata;
+    if (!metadata?.title) return;
 
-      // For background tabs, only process if video is actually playing
-      if (!isActuallyPlaying && document.hidden) {
-        console.log('⏭️ Skipping background tab with metadata but no playback');
+    const title = metadata.title;
+    const pageUrl = window.location.href;
+    const videoKey = this.getVideoKey(pageUrl);
+
+    // Skip if nothing changed
+    if (title === this.lastDetection.title && videoKey === this.lastDetection.key) return;
+
+    // Skip if the site rules say so
+    if (this.isIgnored(pageUrl)) {
+      console.log('⏭️ Skipping site ignored by site rules');
+      return;
+    }
+
+    // Skip if URL is just the domain
+    try {
+      const urlObj = new URL(pageUrl);
+      if (urlObj.pathname === '/' && !urlObj.search) {
+        console.log('⏭️ Skipping homepage detection');
         return;
       }
+    } catch (e) {}
 
-      console.log('📀 Media Session detected:', title, isActuallyPlaying ? '(playing)' : '(ready)');
+    // Check if there's an actual playing video - without one this is an audio session
+    const video = this.findMainVideo();
+    const media = video || this.findPlayingAudio();
+    const mediaType = video ? 'video' : 'audio';
+    const isActuallyPlaying = media ?
+        !media.paused && media.currentTime > 0 :
+        navigator.mediaSession.playbackState === 'playing'; // Audio not attached to the DOM
+
+    // For background tabs, only process if media is actually playing
+    if (!isActuallyPlaying && document.hidden) {
+      console.log('⏭️ Skipping background tab with metadata but no playback');
+      return;
+    }
 
-      lastCheck = { title, url: pageUrl, time: now };
+    console.log(`📀 Media Session detected (${mediaType}):`, title, isActuallyPlaying ? '(playing)' : '(ready)');
 
-      // Check if we already have this URL
-      this.handleVideoDetection({
-        title: title,
-        artist: metadata.artist || '',
-        album: metadata.album || '',
-        url: pageUrl,
-        thumbnail: metadata.artwork?.[0]?.src || '',
-        hasMediaSession: true
-      }, video, isActuallyPlaying);
+    this.lastDetection = { key: videoKey, title };
 
-    }, 2000);
+    this.handleVideoDetection({
+      title: title,
+      artist: metadata.artist || '',
+      album: metadata.album || '',
+      url: pageUrl,
+      thumbnail: this.pickArtwork(metadata.artwork),
+      mediaType,
+      hasMediaSession: true
+    }, media, isActuallyPlaying);
   }
 
   watchVideoElements() {
-    // Check for playing videos
-    document.addEventListener('play', (e) => {
-      if (e.target.tagName === 'VIDEO') {
-        const video = e.target;
-
-        // Wait a bit for media session to potentially update
-        setTimeout(() => {
-          const pageUrl = window.location.href;
-
-          // Check if we already handled this via media session
-          if (!navigator.mediaSession?.metadata?.title) {
-            // No media session, handle as plain video
-            this.handleVideoWithoutMediaSession(video);
-          } else {
-            // We have media session, just make sure capture is running
-            const detection = this.detectedVideos.get(pageUrl);
-            if (detection && !detection.captureStarted) {
-              this.startCapture(video, detection.id, pageUrl);
-            }
-          }
-        }, 1000);
-      }
-    }, true);
-
     // Watch for video source changes
-    const observer = new MutationObserver((mutations) => {
+    this.sourceObserver = new MutationObserver((mutations) => {
       mutations.forEach(mutation => {
         if (mutation.type === 'attributes' &&
-            mutation.target.tagName === 'VIDEO' &&
+            this.isMediaElement(mutation.target) &&
             (mutation.attributeName === 'src' || mutation.attributeName === 'currentSrc')) {
 
           const video = mutation.target;
-          const pageUrl = window.location.href;
 
           // Clear detection for this URL as video changed
-          this.detectedVideos.delete(pageUrl);
+          this.forgetDetection(this.getVideoKey());
+          this.forgetPendingFor(video);
 
           // Cancel any active capture
           for (const [sessionId, session] of this.activeSessions) {
@@ -162,87 +360,569 @@ class VideoDetector {
               break;
             }
           }
+
+          // Save what was played of the previous source and stop tracking it
+          this.playbackTrackers.get(video)?.save();
+          this.stopPlaybackTracking(video);
         }
       });
     });
 
-    // Observe all video elements
-    document.addEventListener('DOMContentLoaded', () => {
-      document.querySelectorAll('video').forEach(video => {
-        observer.observe(video, { attributes: true });
-      });
+    // Shadow roots attached to elements already in the page are reported by the page hook
+    document.addEventListener('vibrary:shadowroot', (e) => {
+      const host = e.composedPath()[0];
+      if (host?.shadowRoot) {
+        this.observeRoot(host.shadowRoot);
+      }
+    }, true);
+
+    // Start with the document and any open shadow roots already in it
+    this.observeRoot(document);
+  }
+
+  // Listen for media events and new videos in the document or a shadow root
+  observeRoot(root) {
+    if (this.observedRoots.has(root)) return;
+    this.observedRoots.add(root);
+    if (root !== document) {
+      this.shadowRoots.add(root);
+    }
+
+    // Media events don't cross shadow boundaries, so every root needs its own listeners
+    root.addEventListener('play', (e) => this.handlePlay(e), true);
+
+    // A media element started loading a new source or dropped the old one
+    ['loadedmetadata', 'emptied'].forEach(type => {
+      root.addEventListener(type, (e) => {
+        if (this.isMediaElement(e.target)) this.scheduleReconcile();
+      }, true);
     });
 
-    // Watch for new video elements
-    const videoObserver = new MutationObserver((mutations) => {
+    // Watch for new video elements and shadow hosts
+    const observer = new MutationObserver((mutations) => {
       mutations.forEach(mutation => {
         mutation.addedNodes.forEach(node => {
-          if (node.tagName === 'VIDEO') {
-            observer.observe(node, { attributes: true });
-          }
+          if (node.nodeType === Node.ELEMENT_NODE) this.scanTree(node);
         });
       });
     });
+    observer.observe(root, { childList: true, subtree: true });
 
-    videoObserver.observe(document.body, { childList: true, subtree: true });
+    this.scanTree(root);
   }
 
-  handleVideoDetection(videoInfo, video, isPlaying) {
-    const pageUrl = videoInfo.url;
-    const detection = this.detectedVideos.get(pageUrl);
+  // Find videos and open shadow roots in a subtree
+  scanTree(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    let node = root.nodeType === Node.ELEMENT_NODE ? root : walker.nextNode();
+
+    while (node) {
+      if (this.isMediaElement(node)) {
+        this.sourceObserver.observe(node, { attributes: true });
+      }
+      if (node.shadowRoot) {
+        this.observeRoot(node.shadowRoot);
+      }
+      node = walker.nextNode();
+    }
+  }
+
+  handlePlay(e) {
+    if (!this.isMediaElement(e.target)) return;
+    const video = e.target;
+
+    if (this.isUserGesture()) {
+      this.userStartedMedia.add(video);
+    }
+
+    // Wait a bit for media session to potentially update, and for any navigation to settle
+    setTimeout(() => this.afterSettle(() => {
+      const videoKey = this.getVideoKey();
+
+      // Check if we already handled this via media session
+      if (!navigator.mediaSession?.metadata?.title) {
+        // No media session, handle as plain video or audio
+        this.handleMediaWithoutMediaSession(video);
+      } else {
+        // We have media session, just make sure capture (or engagement counting) is running
+        const detection = this.detectedVideos.get(videoKey);
+        if (detection?.pending) {
+          this.watchEngagement(videoKey, video);
+        } else if (detection && !detection.captureStarted) {
+          this.startCapture(video, detection.id, videoKey);
+        }
+      }
+    }), 1000);
+  }
+
+  isMediaElement(node) {
+    return node.tagName === 'VIDEO' || node.tagName === 'AUDIO';
+  }
+
+  // All media elements of a type in the document and in open shadow roots
+  findAllMedia(selector = 'video') {
+    const elements = Array.from(document.querySelectorAll(selector));
+
+    for (const root of this.shadowRoots) {
+      if (root.host.isConnected) {
+        elements.push(...root.querySelectorAll(selector));
+      }
+    }
+
+    return elements;
+  }
+
+  findPlayingAudio() {
+    return this.findAllMedia('audio').find(audio => !audio.paused && audio.currentTime > 0);
+  }
+
+  // Largest artwork from media session metadata
+  pickArtwork(artwork = []) {
+    const size = (art) => parseInt(art.sizes?.split(/[x\s]/i)[0]) || 0;
+    const best = [...artwork].sort((a, b) => size(b) - size(a))[0];
+    return best?.src || '';
+  }
+
+  async handleVideoDetection(videoInfo, video, isPlaying, { force = false } = {}) {
+    // Nothing is recorded while tracking is paused, except videos the user saves explicitly
+    if (this.isPaused() && !force) return null;
+
+    const { key: videoKey, url: canonicalUrl } = UrlCanonicalizer.canonicalize(videoInfo.url);
+    const detection = this.detectedVideos.get(videoKey);
+
+    if (detection?.pending) {
+      // Not watched enough yet - keep counting, or save right away if the user asked for it
+      if (video) this.watchEngagement(videoKey, video);
+      return force ? this.commitPending(videoKey) : null;
+    }
 
     if (detection) {
       // Already detected this video
       if (isPlaying && !detection.captureStarted && video) {
         // Video is now playing, update timestamp and start capture
         this.updateVideoTimestamp(detection.id);
-        this.startCapture(video, detection.id, pageUrl);
+        this.startCapture(video, detection.id, videoKey);
       }
-      return;
+      return detection.id;
     }
 
+    // Details from JSON-LD, OpenGraph and the media element (title comes from the caller)
+    const metadata = MetadataExtractor.extract(video, videoInfo.url);
+    delete metadata.title;
+
+    // Live streams get one entry per broadcast instead of one per channel URL. A page announcing a
+    // running broadcast counts even when the element isn't known to be live.
+    const live = this.isLiveMedia(video) || !!metadata.liveStartedAt;
+
     // New video detection
     const videoData = {
+      ...metadata,
       id: `vid_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       title: videoInfo.title,
       artist: videoInfo.artist || '',
       album: videoInfo.album || '',
-      url: pageUrl,
-      website: this.getWebsiteName(pageUrl),
-      favicon: this.getFavicon(),
+      url: canonicalUrl,
+      canonicalKey: videoKey,
+      website: this.getWebsiteName(canonicalUrl),
+      favicon: videoInfo.favicon || this.getFavicon(),
       thumbnail: videoInfo.thumbnail || '',
+      mediaType: videoInfo.mediaType || 'video',
       watchedAt: Date.now(),
       rating: 0
     };
+    if (live) videoData.live = true;
 
     // Track the detection
-    this.detectedVideos.set(pageUrl, {
+    this.detectedVideos.set(videoKey, {
       id: videoData.id,
       captureStarted: false,
       detectedAt: Date.now()
     });
 
     // Save if playing or on visible tab
-    if (isPlaying || !document.hidden) {
-      this.saveVideo(videoData);
+    if (!isPlaying && document.hidden) return null;
+
+    // Previews, hover clips and muted autoplay are held back until they are actually watched
+    if (!force && !EngagementThreshold.isDisabled(this.engagementSettings)) {
+      this.holdDetection(videoKey, videoData, videoInfo.url, video, isPlaying);
+      return null;
+    }
+
+    return this.commitDetection(videoData, videoInfo.url, video, isPlaying);
+  }
+
+  // Live playback has no end, so the element reports an infinite duration
+  isLiveMedia(media) {
+    return !!media && media.duration === Infinity;
+  }
+
+  // A broadcast is identified by its channel and start time. Pages rarely announce the start, so a
+  // channel entry watched within the last LIVE_SESSION_GAP counts as the same broadcast.
+  async assignLiveSession(videoData) {
+    const channelKey = videoData.canonicalKey;
+    videoData.liveChannelKey = channelKey;
+    videoData.lastLiveAt = Date.now();
+
+    if (!videoData.liveStartedAt) {
+      const recent = await LibraryApi.findLiveSession(channelKey);
+
+      if (recent && Date.now() - (recent.lastLiveAt || recent.watchedAt) < VideoDetector.LIVE_SESSION_GAP) {
+        videoData.liveStartedAt = recent.liveStartedAt;
+        videoData.canonicalKey = recent.canonicalKey;
+        return;
+      }
+      videoData.liveStartedAt = new Date().toISOString();
+    }
+
+    videoData.canonicalKey = `${channelKey}#live@${Date.parse(videoData.liveStartedAt)}`;
+  }
+
+  // Keep a new detection in memory until its playback meets the engagement threshold
+  holdDetection(videoKey, videoData, pageUrl, video, isPlaying) {
+    const detection = this.detectedVideos.get(videoKey);
+    detection.pending = {
+      videoData,
+      pageUrl,
+      isPlaying,
+      media: null,
+      played: 0,
+      ended: false,
+      detach: null,
+      timer: null
+    };
+
+    console.log('⏳ Waiting for engagement:', videoData.title);
+
+    if (video) {
+      this.watchEngagement(videoKey, video);
+    } else {
+      // No element to watch (audio played without one) - count time the media session reports playing
+      detection.pending.timer = setInterval(() => {
+        if (navigator.mediaSession?.playbackState === 'playing') {
+          detection.pending.played += 1;
+          this.checkEngagement(videoKey);
+        }
+      }, 1000);
+    }
+  }
+
+  // Count forward playback of a pending detection's media element
+  watchEngagement(videoKey, media) {
+    const pending = this.detectedVideos.get(videoKey)?.pending;
+    if (!pending || pending.media === media) return;
+
+    pending.detach?.();
+    clearInterval(pending.timer);
+    pending.media = media;
+    this.forgetPendingFor(media, videoKey);
+
+    let lastTime = media.currentTime;
+    const onTimeUpdate = () => {
+      const delta = media.currentTime - lastTime;
+      lastTime = media.currentTime;
+
+      // Seeks and pauses don't count, nor does muted playback if the settings say so
+      if (media.paused || delta <= 0 || delta > 2) return;
+      if (this.engagementSettings.requireUnmuted && (media.muted || media.volume === 0)) return;
+
+      pending.played += delta;
+      this.checkEngagement(videoKey);
+    };
+    const onSeeked = () => {
+      lastTime = media.currentTime;
+    };
+    const onEnded = () => {
+      pending.ended = true;
+      this.checkEngagement(videoKey);
+    };
+
+    media.addEventListener('timeupdate', onTimeUpdate);
+    media.addEventListener('seeked', onSeeked);
+    media.addEventListener('ended', onEnded);
+    pending.detach = () => {
+      media.removeEventListener('timeupdate', onTimeUpdate);
+      media.removeEventListener('seeked', onSeeked);
+      media.removeEventListener('ended', onEnded);
+    };
+  }
+
+  checkEngagement(videoKey) {
+    const pending = this.detectedVideos.get(videoKey)?.pending;
+    if (!pending) return;
+
+    const media = pending.media;
+    const met = EngagementThreshold.isMet({
+      played: pending.played,
+      ended: pending.ended,
+      duration: media && isFinite(media.duration) ? media.duration : 0,
+      userStarted: !media || this.userStartedMedia.has(media)
+    }, this.engagementSettings);
+
+    if (met) {
+      this.commitPending(videoKey);
+    }
+  }
+
+  async commitPending(videoKey) {
+    const detection = this.detectedVideos.get(videoKey);
+    const pending = detection?.pending;
+    if (!pending) return null;
+
+    pending.detach?.();
+    clearInterval(pending.timer);
+    delete detection.pending;
+
+    console.log(`👀 Watched ${pending.played.toFixed(1)}s, saving:`, pending.videoData.title);
+
+    const media = pending.media;
+    const isPlaying = media ? !media.paused : pending.isPlaying;
+    return this.commitDetection(pending.videoData, pending.pageUrl, media, isPlaying);
+  }
+
+  // Drop a detection, and stop counting if it was still pending
+  forgetDetection(videoKey) {
+    const pending = this.detectedVideos.get(videoKey)?.pending;
+    if (pending) {
+      pending.detach?.();
+      clearInterval(pending.timer);
+    }
+    this.detectedVideos.delete(videoKey);
+  }
+
+  // An element that moves on to other media (SPA navigation, next in playlist) ends its pending detection
+  forgetPendingFor(media, exceptKey = null) {
+    for (const [key, detection] of this.detectedVideos) {
+      if (key !== exceptKey && detection.pending?.media === media) {
+        this.forgetDetection(key);
+      }
+    }
+  }
+
+  // Plays shortly after a click or key press were started by the user rather than by autoplay
+  watchUserGestures() {
+    const onGesture = () => {
+      this.lastUserGesture = Date.now();
+    };
+    window.addEventListener('pointerdown', onGesture, true);
+    window.addEventListener('keydown', onGesture, true);
+  }
+
+  isUserGesture() {
+    return navigator.userActivation?.isActive ||
+        Date.now() - this.lastUserGesture < EngagementThreshold.GESTURE_WINDOW;
+  }
+
+  // Save a detection and start tracking it
+  async commitDetection(videoData, pageUrl, video, isPlaying) {
+    const videoKey = videoData.canonicalKey;
+
+    if (videoData.live) {
+      await this.assignLiveSession(videoData);
+    }
+
+    if (this.isEmbedded) {
+      // Embedded players also record the page they are embedded in
+      const hostPage = await this.getHostPage();
+      if (hostPage) {
+        if (this.isIgnored(hostPage.url)) {
+          console.log('⏭️ Skipping embed on site ignored by site rules');
+          return null;
+        }
+
+        videoData.hostUrl = hostPage.url;
+        videoData.hostTitle = hostPage.title;
+        videoData.hostWebsite = this.getWebsiteName(hostPage.url);
+        videoData.openTarget = 'video';
+      }
+    }
+
+    const savedId = await this.saveVideo(videoData, videoKey);
+
+    // Audio has no frames to capture - keep a local copy of the artwork instead. The same goes
+    // for new entries saved without a media element (links saved from the context menu).
+    if (videoData.thumbnail && savedId &&
+        (videoData.mediaType === 'audio' || (!video && savedId === videoData.id))) {
+      this.cacheArtwork(savedId, videoData.thumbnail);
+    }
+
+    // Rules can file videos into a playlist automatically
+    const { playlist } = this.siteDecision(pageUrl);
+    if (savedId && playlist) {
+      LibraryApi.addToPlaylist(savedId, playlist, true);
+    }
 
-      // Start capture if playing
-      if (isPlaying && video) {
-        this.startCapture(video, videoData.id, pageUrl);
+    // Start capture if playing
+    if (isPlaying && video && savedId) {
+      this.startCapture(video, savedId, videoKey);
+    }
+
+    return savedId;
+  }
+
+  // Manual save and rating, sent by the background worker for context menu clicks and shortcuts
+  watchManualCommands() {
+    // The context menu click arrives after the event, so remember what was right-clicked
+    document.addEventListener('contextmenu', (e) => {
+      this.contextTarget = { path: e.composedPath(), time: Date.now() };
+    }, true);
+
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      if (request.action === 'saveLink') {
+        this.saveLink(request.url).then(sendResponse);
+        return true;
+      }
+
+      if (!['saveCurrentVideo', 'rateCurrentVideo', 'addBookmark'].includes(request.action)) return false;
+
+      // Frames without media stay silent so the frame that has it can answer
+      const media = this.findTargetMedia(request.fromContextMenu);
+      if (!media) return false;
+
+      this.saveMediaManually(media).then(async (videoId) => {
+        if (!videoId) {
+          sendResponse({ success: false, error: 'Video could not be saved' });
+          return;
+        }
+
+        if (request.action === 'rateCurrentVideo') {
+          await LibraryApi.setRating(videoId, request.rating);
+          console.log(`⭐ Rated ${request.rating} stars`);
+        } else if (request.action === 'addBookmark') {
+          const bookmark = await this.addBookmark(media, videoId);
+          sendResponse({ success: !!bookmark, videoId, bookmark });
+          return;
+        }
+        sendResponse({ success: true, videoId });
+      }).catch(() => sendResponse({ success: false, error: 'Video could not be saved' }));
+      return true;
+    });
+  }
+
+  // Mark the current moment of a saved video; the frame is skipped for audio and cross-origin video
+  async addBookmark(media, videoId) {
+    const time = Math.round(media.currentTime * 10) / 10;
+
+    let frame = null;
+    if (media.tagName !== 'AUDIO') {
+      try {
+        frame = await this.captureFrame(media);
+      } catch (e) {
+        console.log('📌 Bookmark without frame:', e.message);
       }
     }
+
+    const bookmark = await LibraryApi.addBookmark(videoId, time, frame);
+    if (!bookmark) return null;
+
+    console.log(`📌 Bookmarked ${BookmarkPrompt.formatTime(time)}`);
+
+    BookmarkPrompt.show({
+      time,
+      frame,
+      onSave: note => LibraryApi.updateBookmark(videoId, bookmark.id, { note })
+    });
+
+    return bookmark;
   }
 
-  handleVideoWithoutMediaSession(video) {
-    // Skip if too small or too short
-    if (!video || video.duration < 5 || video.offsetWidth < 200) return;
+  // The right-clicked media element (or one inside the clicked player), else the main one on the page
+  findTargetMedia(fromContextMenu) {
+    if (fromContextMenu && this.contextTarget && Date.now() - this.contextTarget.time < 60000) {
+      const path = this.contextTarget.path.filter(el => el instanceof Element);
+      const clicked = path.find(el => this.isMediaElement(el));
+      if (clicked) return clicked;
+
+      // Custom players cover the video with their controls - look inside the nearest containers
+      for (const el of path.slice(0, 6)) {
+        const inner = el.querySelector('video, audio') || el.shadowRoot?.querySelector('video, audio');
+        if (inner) return inner;
+      }
+    }
+
+    const main = this.findMainVideo() || this.findPlayingAudio();
+    if (main) return main;
+
+    // Nothing the heuristics accept - fall back to whatever is playing, then the largest element
+    const all = this.findAllMedia('video, audio');
+    return all.find(media => !media.paused) ||
+        all.sort((a, b) => b.offsetWidth * b.offsetHeight - a.offsetWidth * a.offsetHeight)[0] ||
+        null;
+  }
+
+  // Save a media element the user asked for, skipping the size, length and homepage checks
+  async saveMediaManually(media) {
+    const mediaType = media.tagName === 'AUDIO' ? 'audio' : 'video';
+
+    // Previews inside a link (feeds, search results) stand for the page the link points to
+    const link = media.closest('a[href]');
+    if (link) {
+      return (await this.saveLink(link.href, link)).videoId || null;
+    }
 
+    const metadata = navigator.mediaSession?.metadata;
     const pageUrl = window.location.href;
-    const title = document.title.replace(/^\(\d+\)\s*/, '').trim();
+    const title = metadata?.title ||
+        MetadataExtractor.extract(media, pageUrl).title ||
+        document.title.replace(/^\(\d+\)\s*/, '').trim() ||
+        pageUrl;
+
+    console.log(`💾 Manual save (${mediaType}):`, title);
+
+    return this.handleVideoDetection({
+      title,
+      artist: metadata?.artist || '',
+      album: metadata?.album || '',
+      url: pageUrl,
+      thumbnail: metadata ? this.pickArtwork(metadata.artwork) : '',
+      mediaType
+    }, media, !media.paused && media.currentTime > 0, { force: true });
+  }
+
+  // Save a link without opening it; title and image come from the link element when we have it
+  async saveLink(url, link = null) {
+    if (!link && this.contextTarget) {
+      link = this.contextTarget.path.find(el => el instanceof Element && el.tagName === 'A' && el.href === url);
+    }
+
+    const image = link?.querySelector('img');
+    const imageUrl = image?.currentSrc || image?.src || '';
+    const title = link?.getAttribute('title') || link?.getAttribute('aria-label') ||
+        link?.textContent.replace(/\s+/g, ' ').trim() || image?.alt || url;
+
+    console.log('🔗 Saving link:', title);
+
+    // The page's own favicon only fits links to the same site
+    let favicon = '';
+    try {
+      const target = new URL(url);
+      if (target.hostname !== location.hostname) favicon = `${target.origin}/favicon.ico`;
+    } catch (e) {}
+
+    const videoId = await this.handleVideoDetection({
+      title,
+      url,
+      favicon,
+      thumbnail: /^https?:/.test(imageUrl) ? imageUrl : '',
+      mediaType: 'video'
+    }, null, false, { force: true });
 
-    // Skip if blacklisted
-    if (this.isBlacklisted(pageUrl)) {
-      console.log('⏭️ Skipping blacklisted site');
+    return videoId ? { success: true, videoId } : { success: false, error: 'Link could not be saved' };
+  }
+
+  handleMediaWithoutMediaSession(media) {
+    if (!media || media.duration < 5) return;
+
+    // Skip small videos (previews, ads); audio players have no meaningful size
+    const mediaType = media.tagName === 'AUDIO' ? 'audio' : 'video';
+    if (mediaType === 'video' && media.offsetWidth < 200) return;
+
+    const pageUrl = window.location.href;
+    const title = MetadataExtractor.extract(media, pageUrl).title ||
+        document.title.replace(/^\(\d+\)\s*/, '').trim();
+
+    // Skip if the site rules say so
+    if (this.isIgnored(pageUrl)) {
+      console.log('⏭️ Skipping site ignored by site rules');
       return;
     }
 
@@ -252,32 +932,65 @@ class VideoDetector {
       if (urlObj.pathname === '/' && !urlObj.search) return;
     } catch (e) {}
 
-    console.log('🎥 Video without media session:', title);
+    console.log(`🎥 ${mediaType === 'audio' ? 'Audio' : 'Video'} without media session:`, title);
 
     this.handleVideoDetection({
       title: title,
       url: pageUrl,
+      mediaType,
       hasMediaSession: false
-    }, video, !video.paused);
+    }, media, !media.paused);
+  }
+
+  async cacheArtwork(videoId, artworkUrl) {
+    if (artworkUrl.startsWith('data:') || artworkUrl.startsWith('blob:')) return;
+
+    try {
+      // The background worker can fetch artwork the page's CORS policy would block
+      const response = await chrome.runtime.sendMessage({ action: 'cacheArtwork', videoId, url: artworkUrl });
+      if (response?.success) {
+        console.log('🎨 Cached artwork');
+      }
+    } catch (e) {
+      if (!e.message?.includes('Extension context invalidated')) {
+        console.warn('Failed to cache artwork:', e.message);
+      }
+    }
   }
 
-  async startCapture(video, videoId, pageUrl) {
-    if (!video || video.duration < 5) return;
+  // URL and title of the top-level page hosting this frame
+  async getHostPage() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getHostPage' });
+      return response?.url ? response : null;
+    } catch (e) {
+      return null;
+    }
+  }
 
-    const detection = this.detectedVideos.get(pageUrl);
+  async startCapture(video, videoId, videoKey) {
+    if (!video || video.duration < 5 || this.isPaused()) return;
+
+    const detection = this.detectedVideos.get(videoKey);
     if (detection) {
       detection.captureStarted = true;
     }
 
+    // Audio has no frames, and site rules can turn frame capture off
+    const captureFrames = video.tagName !== 'AUDIO' &&
+        this.siteDecision(location.href).action !== 'no-thumbnails';
+
     // Try to enable CORS if possible
-    try {
-      video.crossOrigin = 'anonymous';
-    } catch (e) {
-      // Ignore if we can't set crossOrigin
+    if (captureFrames) {
+      try {
+        video.crossOrigin = 'anonymous';
+      } catch (e) {
+        // Ignore if we can't set crossOrigin
+      }
     }
 
     // Get existing video data and thumbnails
-    const existingData = await this.getExistingVideoData(videoId, pageUrl);
+    const existingData = await this.getExistingVideoData(videoId, videoKey);
 
     if (existingData) {
       console.log(`📸 Found existing video with ${existingData.thumbnails.length} thumbnails`);
@@ -289,64 +1002,217 @@ class VideoDetector {
       }
     }
 
-    this.startWatchCapture(video, videoId, existingData?.thumbnails || []);
+    this.trackPlayback(video, videoId);
+
+    // Otherwise only playback is tracked
+    if (captureFrames) {
+      this.startWatchCapture(video, videoId, existingData?.thumbnails || [], existingData?.liveStartedAt);
+    }
   }
 
-  async getExistingVideoData(videoId, pageUrl) {
-    try {
-      const data = await chrome.storage.local.get(['historyVideos', 'libraryVideos']);
-      const historyVideos = data.historyVideos || {};
-      const libraryVideos = data.libraryVideos || {};
-
-      // First try by ID
-      let video = historyVideos[videoId] || libraryVideos[videoId];
-
-      // If not found, try by URL
-      if (!video) {
-        for (const [id, v] of Object.entries(historyVideos)) {
-          if (v.url === pageUrl) {
-            video = v;
-            return {
-              id: id,
-              thumbnails: video.thumbnailCollection || []
-            };
-          }
+  async getExistingVideoData(videoId, videoKey) {
+    // By ID first, then by canonical URL
+    const found = await LibraryApi.findVideo(videoId, videoKey);
+    return found ? {
+      id: found.id,
+      thumbnails: found.video.thumbnailCollection || [],
+      liveStartedAt: found.video.liveStartedAt
+    } : null;
+  }
+
+  async updateVideoTimestamp(videoId) {
+    // Update timestamp to move to top of history
+    const updated = await LibraryApi.patchVideo(videoId, { watchedAt: Date.now() });
+    if (updated) {
+      console.log('📍 Updated timestamp to move video to top');
+    }
+  }
+
+  trackPlayback(video, videoId) {
+    const existing = this.playbackTrackers.get(video);
+    if (existing) {
+      if (existing.videoId === videoId) return;
+      this.stopPlaybackTracking(video);
+    }
+
+    const tracker = {
+      videoId,
+      lastSaveTime: Date.now(),
+      lastTime: video.currentTime,
+      duration: video.duration,
+      segments: [], // Closed segments since last save
+      currentSegment: null, // [start, end] being played right now
+      unsavedWatchTime: 0,
+      sessionWatchTime: 0, // Played on this page, for the rating prompt
+      pageKey: UrlCanonicalizer.canonicalize(location.href).key
+    };
+
+    const save = () => {
+      tracker.lastSaveTime = Date.now();
+
+      const segments = [...tracker.segments];
+      if (tracker.currentSegment) segments.push([...tracker.currentSegment]);
+      const watchTime = tracker.unsavedWatchTime;
+
+      tracker.segments = [];
+      tracker.unsavedWatchTime = 0;
+
+      // From the last time update: the element may already be loading another source
+      this.savePlaybackPosition(videoId, tracker.lastTime, tracker.duration, segments, watchTime);
+    };
+
+    // Extend the played range while playback advances normally; any jump starts a new range
+    const timeHandler = () => {
+      const currentTime = video.currentTime;
+      const delta = currentTime - tracker.lastTime;
+
+      if (!video.paused && !video.seeking && delta > 0 && delta < 2) {
+        if (tracker.currentSegment) {
+          tracker.currentSegment[1] = currentTime;
+        } else {
+          tracker.currentSegment = [tracker.lastTime, currentTime];
         }
+        tracker.unsavedWatchTime += delta;
+        tracker.sessionWatchTime += delta;
+      } else if (tracker.currentSegment) {
+        tracker.segments.push(tracker.currentSegment);
+        tracker.currentSegment = null;
       }
 
-      return video ? {
-        id: videoId,
-        thumbnails: video.thumbnailCollection || []
-      } : null;
-    } catch (e) {
-      console.error('Failed to get existing video data:', e);
-      return null;
+      tracker.lastTime = currentTime;
+      if (video.duration > 0) tracker.duration = video.duration;
+
+      // Save every 10 seconds while playing
+      if (Date.now() - tracker.lastSaveTime >= 10000) save();
+    };
+    const seekHandler = () => {
+      if (tracker.currentSegment) {
+        tracker.segments.push(tracker.currentSegment);
+        tracker.currentSegment = null;
+      }
+      tracker.lastTime = video.currentTime;
+    };
+    // Save whenever playback stops
+    const stopHandler = () => save();
+    const endedHandler = () => {
+      save();
+      this.promptForRating(videoId);
+    };
+
+    video.addEventListener('timeupdate', timeHandler);
+    video.addEventListener('seeking', seekHandler);
+    video.addEventListener('pause', stopHandler);
+    video.addEventListener('ended', endedHandler);
+    window.addEventListener('pagehide', stopHandler);
+
+    tracker.save = save;
+    tracker.stop = () => {
+      video.removeEventListener('timeupdate', timeHandler);
+      video.removeEventListener('seeking', seekHandler);
+      video.removeEventListener('pause', stopHandler);
+      video.removeEventListener('ended', endedHandler);
+      window.removeEventListener('pagehide', stopHandler);
+    };
+
+    this.playbackTrackers.set(video, tracker);
+  }
+
+  // In-app navigation away from a video that was watched for a while
+  promptAfterLeaving() {
+    const pageKey = UrlCanonicalizer.canonicalize(location.href).key;
+    for (const tracker of this.playbackTrackers.values()) {
+      if (tracker.pageKey !== pageKey && tracker.sessionWatchTime >= this.ratingPromptSettings.minWatchSeconds) {
+        this.promptForRating(tracker.videoId);
+      }
     }
   }
 
-  async updateVideoTimestamp(videoId) {
+  // Ask once per page for a rating of a saved, unrated video
+  async promptForRating(videoId) {
+    if (this.promptedVideos.has(videoId) || this.isPaused()) return;
+    if (!RatingPrompt.isEnabledFor(location.hostname, this.ratingPromptSettings)) return;
+    this.promptedVideos.add(videoId);
+
     try {
-      const data = await chrome.storage.local.get(['historyVideos', 'libraryVideos']);
-      const historyVideos = data.historyVideos || {};
-      const libraryVideos = data.libraryVideos || {};
+      const video = await LibraryApi.getVideo(videoId);
+      if (!video || video.rating) return;
+
+      const data = await chrome.storage.local.get(['playlists']);
 
-      // Update timestamp to move to top of history
-      if (historyVideos[videoId]) {
-        historyVideos[videoId].watchedAt = Date.now();
-        console.log('📍 Updated timestamp to move video to top');
+      RatingPrompt.show({
+        title: video.title,
+        playlists: Object.keys(data.playlists || {}).sort((a, b) => a.localeCompare(b)),
+        onRate: rating => LibraryApi.setRating(videoId, rating),
+        onAddToPlaylist: playlist => LibraryApi.addToPlaylist(videoId, playlist),
+        onDisableSite: () => this.disableRatingPrompt(location.hostname)
+      });
+      console.log('⭐ Asking for a rating:', video.title);
+    } catch (e) {
+      if (!e.message?.includes('Extension context invalidated')) {
+        console.error('Failed to show rating prompt:', e);
       }
+    }
+  }
 
-      // Also update in library if exists
-      if (libraryVideos[videoId]) {
-        libraryVideos[videoId].watchedAt = Date.now();
+  async disableRatingPrompt(hostname) {
+    const site = hostname.replace(/^www\./, '');
+    const data = await chrome.storage.local.get(['ratingPromptSettings']);
+    const settings = RatingPrompt.normalize(data.ratingPromptSettings);
+    settings.disabledSites = [...settings.disabledSites, site];
+    await LibraryApi.setValues({ ratingPromptSettings: RatingPrompt.normalize(settings) });
+    console.log('⭐ Rating prompt disabled on', site);
+  }
+
+  stopPlaybackTracking(video) {
+    const tracker = this.playbackTrackers.get(video);
+    if (tracker) {
+      tracker.stop();
+      this.playbackTrackers.delete(video);
+    }
+  }
+
+  savePlaybackPosition(videoId, position, duration, segments = [], watchTime = 0) {
+    // Live streams have no timeline - only the time spent watching is kept
+    const live = duration === Infinity;
+    if (!live && (!isFinite(duration) || duration <= 0)) return;
+
+    return LibraryApi.recordPlayback(videoId, { position, duration: live ? 0 : duration, segments, watchTime, live });
+  }
+
+  async checkPendingResume() {
+    try {
+      const { pendingResume } = await chrome.storage.local.get(['pendingResume']);
+      if (!pendingResume || UrlCanonicalizer.canonicalize(pendingResume.url).key !== this.getVideoKey()) return;
+
+      // Ignore stale requests
+      if (Date.now() - pendingResume.createdAt > 60000) {
+        await LibraryApi.removeValues(['pendingResume']);
+        return;
       }
 
-      await chrome.storage.local.set({ historyVideos, libraryVideos });
+      await LibraryApi.removeValues(['pendingResume']);
+
+      // Wait up to 15 seconds for the player to load
+      const startedAt = Date.now();
+      const trySeek = () => {
+        const video = this.findMainVideo();
+        if (video && video.readyState >= 1) {
+          video.currentTime = Math.min(pendingResume.time, video.duration - 1);
+          console.log(`⏩ Resumed at ${pendingResume.time}s`);
+        } else if (Date.now() - startedAt < 15000) {
+          setTimeout(trySeek, 500);
+        }
+      };
+      trySeek();
     } catch (e) {
-      console.error('Failed to update timestamp:', e);
+      console.error('Failed to resume playback:', e);
     }
   }
 
+  getVideoKey(url = window.location.href) {
+    return UrlCanonicalizer.canonicalize(url).key;
+  }
+
   getWebsiteName(url) {
     try {
       const hostname = new URL(url).hostname.replace('www.', '');
@@ -397,14 +1263,14 @@ class VideoDetector {
   }
 
   findMainVideo() {
-    const videos = Array.from(document.querySelectorAll('video'));
+    const videos = this.findAllMedia('video');
 
     return videos
         .filter(v => v.duration > 5 && v.offsetWidth > 200)
         .sort((a, b) => (b.offsetWidth * b.offsetHeight) - (a.offsetWidth * a.offsetHeight))[0];
   }
 
-  startWatchCapture(video, videoId, existingThumbnails = []) {
+  startWatchCapture(video, videoId, existingThumbnails = [], liveStartedAt = null) {
     // Cancel any existing capture for this video
     for (const [sessionId, session] of this.activeSessions) {
       if (session.video === video) {
@@ -414,21 +1280,28 @@ class VideoDetector {
       }
     }
 
+    // Live streams have no timeline - frames are timed by the wall clock since the broadcast began
+    const live = this.isLiveMedia(video);
+    const liveOrigin = Date.parse(liveStartedAt) || Date.now();
+    const clock = live ? () => (Date.now() - liveOrigin) / 1000 : () => video.currentTime;
+
     const session = {
       id: videoId,
       video: video,
       videoId: videoId,
+      live,
+      clock,
       thumbnails: [], // New captures only
       existingThumbnails: [...existingThumbnails], // Make a copy
       lastCaptureTime: -30,
       captureInterval: 15,
       cancelled: false,
-      lastPlayTime: video.currentTime,
+      lastPlayTime: clock(),
       startTime: Date.now(),
       failedAttempts: 0,
       consecutiveFailures: 0,
-      lastSeekTime: video.currentTime,
-      maxThumbs: 10,
+      lastSeekTime: clock(),
+      maxThumbs: this.thumbnailSettings.maxFrames,
       lastUpdateTime: 0
     };
 
@@ -436,7 +1309,9 @@ class VideoDetector {
     console.log(`📸 Starting capture session for ${videoId} with ${existingThumbnails.length} existing thumbnails`);
 
     // Adjust capture interval based on video length
-    if (video.duration < 60) {
+    if (live) {
+      session.captureInterval = 60;
+    } else if (video.duration < 60) {
       session.captureInterval = 10;
     } else if (video.duration < 300) {
       session.captureInterval = 15;
@@ -444,8 +1319,9 @@ class VideoDetector {
       session.captureInterval = 30;
     }
 
-    // Listen for seeking
+    // Listen for seeking (rewinding a live stream doesn't move the wall clock)
     const seekHandler = () => {
+      if (live) return;
       session.lastSeekTime = video.currentTime;
       session.lastCaptureTime = video.currentTime - session.captureInterval - 1;
     };
@@ -455,7 +1331,7 @@ class VideoDetector {
       if (session.cancelled || !this.activeSessions.has(videoId)) return;
 
       try {
-        if (!document.contains(video)) {
+        if (!video.isConnected) {
           this.finalizeCapture(session);
           return;
         }
@@ -468,10 +1344,10 @@ class VideoDetector {
           return;
         }
 
-        const currentTime = video.currentTime;
+        const currentTime = clock();
 
         // Only capture if playing and moved forward
-        if (!video.paused || Math.abs(currentTime - session.lastSeekTime) > 1) {
+        if (!video.paused || (!live && Math.abs(currentTime - session.lastSeekTime) > 1)) {
           if (currentTime > session.lastPlayTime || Math.abs(currentTime - session.lastSeekTime) < 2) {
             session.lastPlayTime = currentTime;
 
@@ -488,11 +1364,23 @@ class VideoDetector {
 
               // Check if video is ready
               if (video.readyState >= 2) {
-                this.captureFrame(video).then(thumbnail => {
-                  if (thumbnail && !session.cancelled) {
+                this.captureCandidate(video).then(candidate => {
+                  if (candidate && !session.cancelled) {
+                    // Skip black/blank frames and near-duplicates of the last kept frame,
+                    // and try again a couple of seconds later
+                    const rejection = this.rejectCandidate(candidate, session);
+                    if (rejection) {
+                      session.lastCaptureTime = currentTime - session.captureInterval + 2;
+                      session.consecutiveFailures = 0;
+                      console.log(`📸 Skipped ${rejection} frame at ${currentTime.toFixed(1)}s`);
+                      return;
+                    }
+
                     const newThumb = {
                       time: currentTime,
-                      thumbnail: thumbnail
+                      thumbnail: candidate.thumbnail,
+                      sig: candidate.sig,
+                      score: candidate.score
                     };
 
                     session.thumbnails.push(newThumb);
@@ -569,59 +1457,100 @@ class VideoDetector {
   }
 
   captureFrame(video) {
-    return new Promise((resolve, reject) => {
-      if (video.readyState < 2) {
-        reject(new Error('Video not ready'));
-        return;
-      }
+    return this.captureCandidate(video).then(candidate => candidate.thumbnail);
+  }
+
+  // Capture a frame together with a small signature used to judge its quality
+  async captureCandidate(video) {
+    if (video.readyState < 2) {
+      throw new Error('Video not ready');
+    }
 
+    try {
       const canvas = document.createElement('canvas');
-      const scale = Math.min(1, 400 / video.videoWidth);
-      canvas.width = Math.floor(video.videoWidth * scale);
-      canvas.height = Math.floor(video.videoHeight * scale);
+      ThumbnailEncoder.drawScaled(video, video.videoWidth, video.videoHeight, this.thumbnailSettings, canvas);
+      const analysis = this.analyzeFrame(canvas);
+
+      // Encoded to the configured format and quality, sent on as a data URL
+      const blob = await ThumbnailEncoder.encode(canvas, this.thumbnailSettings);
+      const thumbnail = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onloadend = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error('Failed to read blob'));
+        reader.readAsDataURL(blob);
+      });
 
-      const ctx = canvas.getContext('2d');
-      if (!ctx) {
-        reject(new Error('Failed to get canvas context'));
-        return;
+      return { thumbnail, ...analysis };
+    } catch (e) {
+      if (e.name === 'SecurityError') {
+        throw new Error('Cross-origin video');
       }
+      throw new Error(`Capture failed: ${e.message}`);
+    }
+  }
 
-      try {
-        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-
-        // Try to convert to data URL directly first
-        try {
-          const dataUrl = canvas.toDataURL('image/jpeg', 0.5);
-          resolve(dataUrl);
-        } catch (e) {
-          // If direct conversion fails, try blob method
-          canvas.toBlob(
-              (blob) => {
-                if (!blob) {
-                  reject(new Error('Failed to create blob'));
-                  return;
-                }
-
-                const reader = new FileReader();
-                reader.onloadend = () => resolve(reader.result);
-                reader.onerror = () => reject(new Error('Failed to read blob'));
-                reader.readAsDataURL(blob);
-              },
-              'image/jpeg',
-              0.5
-          );
-        }
-      } catch (e) {
-        if (e.name === 'SecurityError') {
-          reject(new Error('Cross-origin video'));
-        } else {
-          reject(new Error(`Capture failed: ${e.message}`));
-        }
-      }
-    });
+  // Brightness, contrast and a 16x9 grayscale signature of a frame
+  analyzeFrame(canvas) {
+    const small = document.createElement('canvas');
+    small.width = 16;
+    small.height = 9;
+    const ctx = small.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(canvas, 0, 0, small.width, small.height);
+
+    const pixels = ctx.getImageData(0, 0, small.width, small.height).data;
+    const luma = [];
+    for (let i = 0; i < pixels.length; i += 4) {
+      luma.push(0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2]);
+    }
+
+    const brightness = luma.reduce((sum, l) => sum + l, 0) / luma.length;
+    const contrast = Math.sqrt(luma.reduce((sum, l) => sum + (l - brightness) ** 2, 0) / luma.length);
+
+    // Signature: one hex digit (16 gray levels) per cell
+    const sig = luma.map(l => Math.min(15, Math.floor(l / 16)).toString(16)).join('');
+
+    // Quality: prefer detailed frames with mid-range exposure
+    const exposure = 1 - Math.abs(brightness - 128) / 128;
+    const score = Math.round((Math.min(1, contrast / 60) * 0.7 + exposure * 0.3) * 100) / 100;
+
+    return { sig, brightness, contrast, score };
+  }
+
+  // Reason to discard a captured frame, or null to keep it
+  rejectCandidate(candidate, session) {
+    if (candidate.brightness < 16 || candidate.brightness > 240 || candidate.contrast < 8) {
+      return 'blank';
+    }
+
+    const previous = session.thumbnails[session.thumbnails.length - 1];
+    if (previous?.sig && this.frameDistance(previous.sig, candidate.sig) < 0.04) {
+      return 'duplicate';
+    }
+
+    return null;
+  }
+
+  // Visual difference between two signatures, 0 (identical) to 1
+  frameDistance(sigA, sigB) {
+    if (!sigA || !sigB || sigA.length !== sigB.length) return null;
+
+    let diff = 0;
+    for (let i = 0; i < sigA.length; i++) {
+      diff += Math.abs(parseInt(sigA[i], 16) - parseInt(sigB[i], 16));
+    }
+    return diff / (sigA.length * 15);
   }
 
-  updateSessionThumbnails(session) {
+  // Best-quality frame as the primary thumbnail; middle frame for older captures without scores
+  pickPrimaryThumbnail(thumbs) {
+    const scored = thumbs.filter(t => typeof t.score === 'number');
+    if (scored.length > 0) {
+      return scored.reduce((best, t) => t.score > best.score ? t : best);
+    }
+    return thumbs[Math.floor(thumbs.length / 2)];
+  }
+
+  async updateSessionThumbnails(session) {
     // Merge current thumbnails
     const mergedThumbs = this.mergeThumbnails(
         session.existingThumbnails,
@@ -629,12 +1558,16 @@ class VideoDetector {
         session.maxThumbs
     );
 
-    // Select middle thumbnail as primary
-    const primaryIndex = Math.floor(mergedThumbs.length / 2);
-    const primaryThumb = mergedThumbs[primaryIndex]?.thumbnail;
+    const primary = this.pickPrimaryThumbnail(mergedThumbs);
+    if (!primary) return;
+
+    const sent = new Set(session.thumbnails);
+    const collection = await this.updateThumbnails(session.videoId, primary.time, mergedThumbs);
 
-    if (primaryThumb) {
-      this.updateThumbnails(session.videoId, primaryThumb, mergedThumbs);
+    // Sent frames are stored now - keep only their references so they aren't sent again
+    if (collection) {
+      session.existingThumbnails = collection;
+      session.thumbnails = session.thumbnails.filter(thumb => !sent.has(thumb));
     }
   }
 
@@ -666,16 +1599,40 @@ class VideoDetector {
       return uniqueThumbs;
     }
 
-    // Downsample evenly across the video duration
-    const result = [];
-    const step = (uniqueThumbs.length - 1) / (maxCount - 1);
+    // Keep the most distinct frames: start from the best one, then repeatedly add the frame
+    // that differs most from everything kept so far, weighted by its quality
+    const span = Math.max(1, uniqueThumbs[uniqueThumbs.length - 1].time - uniqueThumbs[0].time);
+    const distance = (a, b) => {
+      const visual = this.frameDistance(a.sig, b.sig);
+      const temporal = Math.abs(a.time - b.time) / span;
+      // Frames captured before scoring existed only have their time to go on
+      return (visual ?? temporal * 0.25) + temporal * 0.1;
+    };
+
+    const remaining = [...uniqueThumbs];
+    const first = this.pickPrimaryThumbnail(remaining);
+    const result = [first];
+    remaining.splice(remaining.indexOf(first), 1);
+
+    while (result.length < maxCount && remaining.length > 0) {
+      let bestIndex = 0;
+      let bestValue = -1;
+
+      remaining.forEach((thumb, index) => {
+        const novelty = Math.min(...result.map(kept => distance(thumb, kept)));
+        const value = novelty * (0.5 + 0.5 * (thumb.score ?? 0.5));
+        if (value > bestValue) {
+          bestValue = value;
+          bestIndex = index;
+        }
+      });
 
-    for (let i = 0; i < maxCount; i++) {
-      const index = Math.round(i * step);
-      result.push(uniqueThumbs[index]);
+      result.push(remaining.splice(bestIndex, 1)[0]);
     }
 
-    console.log(`📸 Downsampled from ${uniqueThumbs.length} to ${result.length} thumbnails`);
+    result.sort((a, b) => a.time - b.time);
+
+    console.log(`📸 Selected ${result.length} most distinct of ${uniqueThumbs.length} thumbnails`);
     return result;
   }
 
@@ -686,19 +1643,9 @@ class VideoDetector {
     this.activeSessions.delete(session.id);
 
     // Do final merge
-    const mergedThumbs = this.mergeThumbnails(
-        session.existingThumbnails,
-        session.thumbnails,
-        session.maxThumbs
-    );
-
-    if (mergedThumbs.length > 0) {
-      // Always use middle thumbnail as primary
-      const primaryIndex = Math.floor(mergedThumbs.length / 2);
-      const primary = mergedThumbs[primaryIndex];
-
-      this.updateThumbnails(session.videoId, primary.thumbnail, mergedThumbs);
-      console.log(`✅ Finalized capture: ${session.thumbnails.length} new + ${session.existingThumbnails.length} existing = ${mergedThumbs.length} total`);
+    if (session.thumbnails.length > 0) {
+      console.log(`✅ Finalizing capture: ${session.thumbnails.length} new + ${session.existingThumbnails.length} existing`);
+      this.updateSessionThumbnails(session);
     }
   }
 
@@ -707,119 +1654,67 @@ class VideoDetector {
 
     // Clean up old capture sessions
     for (const [sessionId, session] of this.activeSessions) {
-      if (session.startTime < fiveMinutesAgo || !document.contains(session.video)) {
+      if ((session.startTime < fiveMinutesAgo && !session.live) || !session.video.isConnected) {
         session.cancelled = true;
         this.activeSessions.delete(sessionId);
         console.log(`🧹 Cleaned up old session: ${sessionId}`);
       }
     }
 
-    // Clean up old detections
+    // Clean up old detections (pending ones only once their element is gone)
     for (const [url, detection] of this.detectedVideos) {
-      if (detection.detectedAt < fiveMinutesAgo - 300000) {
-        this.detectedVideos.delete(url);
+      if (detection.detectedAt < fiveMinutesAgo - 300000 &&
+          (!detection.pending?.media || !detection.pending.media.isConnected)) {
+        this.forgetDetection(url);
       }
     }
   }
 
-  async updateThumbnails(videoId, primaryThumbnail, collection) {
+  async updateThumbnails(videoId, primaryTime, collection) {
     try {
-      const data = await chrome.storage.local.get(['historyVideos', 'libraryVideos']);
-      const historyVideos = data.historyVideos || {};
-      const libraryVideos = data.libraryVideos || {};
-      let updated = false;
-
-      // Update in history
-      if (historyVideos[videoId]) {
-        historyVideos[videoId] = {
-          ...historyVideos[videoId],
-          thumbnail: primaryThumbnail,
-          thumbnailCollection: collection
-        };
-        updated = true;
-
-        // Also update in library if exists
-        if (libraryVideos[videoId]) {
-          libraryVideos[videoId] = {
-            ...libraryVideos[videoId],
-            thumbnail: primaryThumbnail,
-            thumbnailCollection: collection
-          };
-        }
-      } else {
-        // Try to find by URL
-        const pageUrl = window.location.href;
-        for (const [id, video] of Object.entries(historyVideos)) {
-          if (video.url === pageUrl) {
-            historyVideos[id] = {
-              ...video,
-              thumbnail: primaryThumbnail,
-              thumbnailCollection: collection
-            };
-            updated = true;
-
-            if (libraryVideos[id]) {
-              libraryVideos[id] = {
-                ...libraryVideos[id],
-                thumbnail: primaryThumbnail,
-                thumbnailCollection: collection
-              };
-            }
-            break;
-          }
-        }
-      }
+      // Frames are kept in the extension's IndexedDB, which only the background worker can reach
+      const response = await chrome.runtime.sendMessage({
+        action: 'storeThumbnails',
+        videoId,
+        videoKey: this.getVideoKey(),
+        primaryTime,
+        frames: collection.map(({ time, thumbnail, ref, sig, score }) => ({ time, thumbnail, ref, sig, score }))
+      });
 
-      if (updated) {
-        await chrome.storage.local.set({ historyVideos, libraryVideos });
+      if (response?.success) {
         console.log('💾 Updated thumbnails in storage');
+        return response.collection;
       }
+      return null;
     } catch (e) {
       if (!e.message?.includes('Extension context invalidated')) {
         console.error('Failed to update thumbnails:', e);
       }
+      return null;
     }
   }
 
-  async saveVideo(videoData) {
-    try {
-      const data = await chrome.storage.local.get(['historyVideos']);
-      const historyVideos = data.historyVideos || {};
-
-      // Check for existing video with same URL
-      const existingEntry = Object.entries(historyVideos).find(([id, v]) => v.url === videoData.url);
-
-      if (existingEntry) {
-        // Update timestamp to move to top
-        const [existingId, existingData] = existingEntry;
-        historyVideos[existingId] = {
-          ...existingData,
-          watchedAt: Date.now()
-        };
-
-        await chrome.storage.local.set({ historyVideos });
-        console.log('📍 Updated existing video timestamp');
-
-        // Update our detection map with the correct ID
-        this.detectedVideos.set(videoData.url, {
-          id: existingId,
-          captureStarted: false,
-          detectedAt: Date.now()
-        });
-
-        return;
-      }
+  // videoKey is the detection's key, which differs from the entry's for live broadcasts
+  async saveVideo(videoData, videoKey) {
+    // An existing entry with the same canonical URL moves to the top and gets any details
+    // it was saved without; the background worker does the merge
+    const saved = await LibraryApi.upsertVideo(videoData, MetadataExtractor.FIELDS);
+    if (!saved) return null;
 
-      // Save new video
-      historyVideos[videoData.id] = videoData;
-      await chrome.storage.local.set({ historyVideos });
+    if (!saved.created) {
+      console.log('📍 Updated existing video timestamp');
 
-      console.log('✅ Saved to history:', videoData.title);
-    } catch (e) {
-      if (!e.message?.includes('Extension context invalidated')) {
-        console.error('Failed to save:', e);
-      }
+      // Update our detection map with the correct ID
+      this.detectedVideos.set(videoKey, {
+        id: saved.id,
+        captureStarted: false,
+        detectedAt: Date.now()
+      });
+      return saved.id;
     }
+
+    console.log('✅ Saved to history:', videoData.title);
+    return saved.id;
   }
 }
 
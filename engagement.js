@@ -0,0 +1,37 @@
+// VIBRARY Engagement Threshold - when playback counts as watching rather than a preview or autoplay.
+// Shared by the content script (evaluation) and popup (settings).
+class EngagementThreshold {
+  static DEFAULTS = {
+    minSeconds: 10,       // seconds actually played
+    minPercent: 0,        // share of the duration played, 0 = off
+    requireUnmuted: false, // only count audible playback
+    requireUserPlay: false // only count playback the user started
+  };
+
+  // Plays within this long after a click or key press count as started by the user
+  static GESTURE_WINDOW = 5000;
+
+  static normalize(settings) {
+    return { ...this.DEFAULTS, ...(settings || {}) };
+  }
+
+  // With everything off, detections are saved right away
+  static isDisabled(settings) {
+    return !settings.minSeconds && !settings.minPercent && !settings.requireUnmuted && !settings.requireUserPlay;
+  }
+
+  // progress: { played, ended, duration, userStarted }
+  static isMet(progress, settings) {
+    const watchedAll = progress.ended && progress.played > 0;
+
+    const secondsMet = progress.played >= settings.minSeconds || watchedAll;
+    const percentMet = !settings.minPercent || !progress.duration || watchedAll ||
+        progress.played / progress.duration * 100 >= settings.minPercent;
+    const userMet = !settings.requireUserPlay || progress.userStarted;
+
+    // Unmuted playback is enforced while counting, so any counted time satisfies it
+    const unmutedMet = !settings.requireUnmuted || progress.played > 0;
+
+    return secondsMet && percentMet && userMet && unmutedMet;
+  }
+}
@@ -0,0 +1,139 @@
+// VIBRARY Library API - how the content script and popup read and change the video library. Every call is a
+// message to the background worker's LibraryStore, which applies writes one at a time.
+// Calls resolve with the operation's result, or null if the worker couldn't be reached or failed.
+class LibraryApi {
+  static async call(operation, ...args) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: operation, args });
+      if (response?.success) return response.result;
+      console.error(`VIBRARY: ${operation} failed:`, response?.error);
+    } catch (e) {
+      if (!e.message?.includes('Extension context invalidated')) {
+        console.error(`VIBRARY: ${operation} failed:`, e);
+      }
+    }
+    return null;
+  }
+
+  // Returns { id, created }
+  static upsertVideo(video, fillFields) {
+    return this.call('upsertVideo', video, fillFields);
+  }
+
+  static patchVideo(videoId, changes) {
+    return this.call('patchVideo', videoId, changes);
+  }
+
+  static setRating(videoId, rating) {
+    return this.call('setRating', videoId, rating);
+  }
+
+  // progress: { position, duration, segments, watchTime, live }
+  static recordPlayback(videoId, progress) {
+    return this.call('recordPlayback', videoId, progress);
+  }
+
+  // Deletions and removals return the ID of their trash entry
+  static deleteVideo(videoId) {
+    return this.call('deleteVideo', videoId);
+  }
+
+  static clearHistory() {
+    return this.call('clearHistory');
+  }
+
+  static addToPlaylist(videoId, name, create = false) {
+    return this.call('addToPlaylist', videoId, name, create);
+  }
+
+  static removeFromPlaylist(videoId, name) {
+    return this.call('removeFromPlaylist', videoId, name);
+  }
+
+  static createPlaylist(name) {
+    return this.call('createPlaylist', name);
+  }
+
+  static renamePlaylist(oldName, newName) {
+    return this.call('renamePlaylist', oldName, newName);
+  }
+
+  static deletePlaylist(name) {
+    return this.call('deletePlaylist', name);
+  }
+
+  // frame: data URL of the captured frame, or null. Returns the new bookmark.
+  static addBookmark(videoId, time, frame) {
+    return this.call('addBookmark', videoId, time, frame);
+  }
+
+  static updateBookmark(videoId, bookmarkId, changes) {
+    return this.call('updateBookmark', videoId, bookmarkId, changes);
+  }
+
+  static deleteBookmark(videoId, bookmarkId) {
+    return this.call('deleteBookmark', videoId, bookmarkId);
+  }
+
+  // backup: a parsed backup file of any schema version. Returns the number of history videos.
+  static importLibrary(backup, settings) {
+    return this.call('importLibrary', backup, settings);
+  }
+
+  // Returns the number of videos put back
+  static restoreTrash(trashId) {
+    return this.call('restoreTrash', trashId);
+  }
+
+  // Without IDs the whole trash is emptied
+  static purgeTrash(trashIds) {
+    return this.call('purgeTrash', trashIds);
+  }
+
+  // Settings and other values outside the video library
+  static setValues(values) {
+    return this.call('setValues', values);
+  }
+
+  static removeValues(keys) {
+    return this.call('removeValues', keys);
+  }
+
+  static getVideo(videoId) {
+    return this.call('getVideo', videoId);
+  }
+
+  // Videos in the order asked for, with id and completion added
+  static getVideos(ids) {
+    return this.call('getVideos', ids);
+  }
+
+  // Returns { id, video }, looking the video up by canonical key when the ID isn't stored
+  static findVideo(videoId, key) {
+    return this.call('findVideo', videoId, key);
+  }
+
+  static findLiveSession(channelKey) {
+    return this.call('findLiveSession', channelKey);
+  }
+
+  // query: { playlist, search, rating, mediaType, progress, sort, offset, limit }. Returns { videos, total }.
+  static queryVideos(query) {
+    return this.call('queryVideos', query);
+  }
+
+  // Returns { history, library }
+  static countVideos() {
+    return this.call('countVideos');
+  }
+
+  // Entries as { id, label, deletedAt, videoCount, playlists, titles }, newest first
+  static getTrash() {
+    return this.call('getTrash');
+  }
+
+  // Returns { library, videoCount, thumbnailRefs }
+  static exportLibrary() {
+    return this.call('exportLibrary');
+  }
+}
@@ -0,0 +1,719 @@
+// VIBRARY Library Store - owns every write to chrome.storage. Runs in the background worker and
+// applies changes one at a time through a queue, re-reading storage for each, so tabs and the popup
+// can't overwrite each other's updates. Content scripts and the popup call it through LibraryApi.
+//
+// Every video is stored under its own key (video:<id>), so a change only rewrites that video.
+// videoIndex keeps a small summary per video - canonical key, site, date, rating, progress and
+// whether it is in history - for finding, filtering and paging without loading the records.
+// A video is in the library while a playlist holds it, and is deleted once it is in neither.
+// Deletions, removals and cleanups keep what they removed in the trash (trash:<id>, summarized in
+// trashIndex) until it is restored or purged.
+class LibraryStore {
+  // Operations LibraryApi may call by message
+  static OPERATIONS = [
+    'upsertVideo', 'patchVideo', 'setRating', 'recordPlayback', 'deleteVideo', 'clearHistory',
+    'addToPlaylist', 'removeFromPlaylist', 'createPlaylist', 'renamePlaylist', 'deletePlaylist',
+    'addBookmark', 'updateBookmark', 'deleteBookmark', 'importLibrary', 'setValues', 'removeValues',
+    'restoreTrash', 'purgeTrash',
+    'getVideo', 'getVideos', 'findVideo', 'findLiveSession', 'queryVideos', 'countVideos', 'exportLibrary',
+    'getTrash'
+  ];
+
+  // Keys only changed through the video and playlist operations, besides the video records
+  static LIBRARY_KEYS = ['videoIndex', 'playlists', 'trashIndex'];
+  static RECORD_PREFIX = 'video:';
+  static TRASH_PREFIX = 'trash:';
+
+  static queue = Promise.resolve();
+
+  // Run a task once all earlier ones have finished. Tasks must not wait on other queued tasks.
+  static enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  static recordKey(videoId) {
+    return this.RECORD_PREFIX + videoId;
+  }
+
+  static trashKey(trashId) {
+    return this.TRASH_PREFIX + trashId;
+  }
+
+  static isLibraryKey(key) {
+    return this.LIBRARY_KEYS.includes(key) || key.startsWith(this.RECORD_PREFIX) || key.startsWith(this.TRASH_PREFIX);
+  }
+
+  // Index summary of a video; default values are left out to keep the index small. Progress stays
+  // out: it changes every few seconds of playback and would rewrite the whole index each time.
+  static indexEntry(video, inHistory) {
+    const entry = { key: UrlCanonicalizer.keyFor(video), site: this.siteOf(video), watchedAt: video.watchedAt || 0 };
+    if (inHistory) entry.history = true;
+    if (video.rating) entry.rating = video.rating;
+    if (video.mediaType && video.mediaType !== 'video') entry.mediaType = video.mediaType;
+    if (video.live) entry.live = true;
+    return entry;
+  }
+
+  // Host of the video's page without www - canonical keys of known sites don't contain it
+  static siteOf(video) {
+    try {
+      return new URL(video.url).hostname.replace(/^(www|m)\./, '');
+    } catch (e) {
+      return '';
+    }
+  }
+
+  // Share of the duration played, or null for entries without progress
+  static completion(video) {
+    if (!video.duration || !video.watchedSegments?.length) return null;
+
+    const watched = video.watchedSegments.reduce((sum, [start, end]) => sum + (end - start), 0);
+    return Math.min(1, watched / video.duration);
+  }
+
+  // Run mutate(library) as one queued write. library.index and library.playlists are changed in
+  // place, records go through getRecord(), putVideo() and dropVideo(), the trash through
+  // moveToTrash() and removeTrash(), and any other keys through library.values. Returning false
+  // from mutate() leaves storage untouched.
+  static change(mutate) {
+    return this.enqueue(async () => {
+      const data = await chrome.storage.local.get(this.LIBRARY_KEYS);
+      const library = {
+        index: data.videoIndex || {},
+        playlists: data.playlists || {},
+        records: {},
+        changed: new Set(),
+        dropped: new Set(),
+        values: {},
+        indexChanged: false,
+        playlistsBefore: JSON.stringify(data.playlists || {}),
+        trashIndex: data.trashIndex || {},
+        trash: null,
+        trashRemoved: new Set(),
+        trashChanged: false
+      };
+
+      const result = await mutate(library);
+      if (result !== false) {
+        await this.commit(library);
+      }
+      return result;
+    });
+  }
+
+  // Write only what changed: the touched records, and the index and playlists if they differ
+  static async commit(library) {
+    if (library.trash) this.sealTrash(library);
+
+    const changes = { ...library.values };
+    library.changed.forEach(id => {
+      changes[this.recordKey(id)] = library.records[id];
+    });
+    if (library.indexChanged) changes.videoIndex = library.index;
+    if (JSON.stringify(library.playlists) !== library.playlistsBefore) changes.playlists = library.playlists;
+    if (library.trashChanged) changes.trashIndex = library.trashIndex;
+
+    if (Object.keys(changes).length > 0) {
+      await chrome.storage.local.set(changes);
+    }
+    const removed = [
+      ...[...library.dropped].map(id => this.recordKey(id)),
+      ...[...library.trashRemoved].map(id => this.trashKey(id))
+    ];
+    if (removed.length > 0) {
+      await chrome.storage.local.remove(removed);
+    }
+  }
+
+  // Load records into the change; returns { id: record } for the ones that exist
+  static async loadRecords(library, ids) {
+    const missing = ids.filter(id => library.index[id] && !(id in library.records));
+    if (missing.length > 0) {
+      const data = await chrome.storage.local.get(missing.map(id => this.recordKey(id)));
+      missing.forEach(id => {
+        library.records[id] = data[this.recordKey(id)] || null;
+      });
+    }
+    return Object.fromEntries(ids.filter(id => library.records[id]).map(id => [id, library.records[id]]));
+  }
+
+  static async getRecord(library, videoId) {
+    return (await this.loadRecords(library, [videoId]))[videoId] || null;
+  }
+
+  // Store a record; it stays in or out of history unless inHistory says otherwise
+  static putVideo(library, videoId, video, inHistory = !!library.index[videoId]?.history) {
+    library.records[videoId] = video;
+    library.changed.add(videoId);
+    library.dropped.delete(videoId);
+    this.setIndexEntry(library, videoId, this.indexEntry(video, inHistory));
+  }
+
+  static setIndexEntry(library, videoId, entry) {
+    if (JSON.stringify(library.index[videoId]) === JSON.stringify(entry)) return;
+    library.index[videoId] = entry;
+    library.indexChanged = true;
+  }
+
+  static dropVideo(library, videoId) {
+    delete library.index[videoId];
+    delete library.records[videoId];
+    library.changed.delete(videoId);
+    library.dropped.add(videoId);
+    library.indexChanged = true;
+  }
+
+  // Playlist videos stay in the library; anything else is deleted
+  static removeFromHistory(library, videoId) {
+    if (!this.isInPlaylist(library.playlists, videoId)) {
+      this.dropVideo(library, videoId);
+      return;
+    }
+    const { history, ...entry } = library.index[videoId];
+    this.setIndexEntry(library, videoId, entry);
+  }
+
+  static dropIfUnused(library, videoId) {
+    const entry = library.index[videoId];
+    if (entry && !entry.history && !this.isInPlaylist(library.playlists, videoId)) {
+      this.dropVideo(library, videoId);
+    }
+  }
+
+  static async patchRecord(library, videoId, getChanges) {
+    const stored = await this.getRecord(library, videoId);
+    if (!stored) return false;
+
+    this.putVideo(library, videoId, { ...stored, ...getChanges(stored) });
+    return true;
+  }
+
+  // Keep what the change is about to remove so it can be restored: each video's record, history
+  // flag and playlists, and whole playlists. Call before removing anything; returns the trash ID.
+  static async moveToTrash(library, label, videoIds = [], playlistNames = []) {
+    const records = await this.loadRecords(library, videoIds);
+    const trashId = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+
+    library.trash = {
+      id: trashId,
+      label,
+      deletedAt: Date.now(),
+      videos: Object.fromEntries(Object.entries(records).map(([id, video]) => [id, {
+        video,
+        history: !!library.index[id].history,
+        playlists: Object.keys(library.playlists).filter(name => library.playlists[name].includes(id))
+      }])),
+      playlists: Object.fromEntries(playlistNames
+          .filter(name => library.playlists[name])
+          .map(name => [name, [...library.playlists[name]]]))
+    };
+    return trashId;
+  }
+
+  // Only videos the change deleted keep their record; the others just need their history flag and
+  // playlists back
+  static sealTrash(library) {
+    const { id, label, deletedAt, videos, playlists } = library.trash;
+    const titles = Object.values(videos).map(item => item.video.title).filter(Boolean).slice(0, 3);
+
+    Object.entries(videos).forEach(([videoId, item]) => {
+      if (!library.dropped.has(videoId)) delete item.video;
+    });
+
+    library.values[this.trashKey(id)] = { label, deletedAt, videos, playlists };
+    library.trashIndex[id] = {
+      label,
+      deletedAt,
+      videoCount: Object.keys(videos).length,
+      playlists: Object.keys(playlists),
+      titles
+    };
+    library.trashChanged = true;
+  }
+
+  static removeTrash(library, trashId) {
+    if (!library.trashIndex[trashId]) return;
+    delete library.trashIndex[trashId];
+    library.trashRemoved.add(trashId);
+    library.trashChanged = true;
+  }
+
+  static findByKey(index, key) {
+    return Object.keys(index).find(id => index[id].key === key) || null;
+  }
+
+  static isInPlaylist(playlists, videoId, exceptName = null) {
+    return Object.entries(playlists).some(([name, ids]) => name !== exceptName && ids.includes(videoId));
+  }
+
+  // Save a detection. An existing entry for the same canonical key (library videos count too) is
+  // moved to the top of history and gets the listed fields it was missing.
+  // Returns { id, created }.
+  static upsertVideo(video, fillFields = []) {
+    return this.change(async (library) => {
+      const id = this.findByKey(library.index, video.canonicalKey);
+      if (!id) {
+        this.putVideo(library, video.id, video, true);
+        return { id: video.id, created: true };
+      }
+
+      const updated = { ...await this.getRecord(library, id), watchedAt: Date.now() };
+      fillFields.forEach(field => {
+        if (!updated[field] && video[field]) updated[field] = video[field];
+      });
+      if (video.live) updated.lastLiveAt = Date.now();
+
+      this.putVideo(library, id, updated, true);
+      return { id, created: false };
+    });
+  }
+
+  // Returns false, changing nothing, when a new canonical key belongs to another entry
+  static patchVideo(videoId, changes) {
+    return this.change((library) => {
+      const owner = changes.canonicalKey && this.findByKey(library.index, changes.canonicalKey);
+      if (owner && owner !== videoId) return false;
+      return this.patchRecord(library, videoId, () => changes);
+    });
+  }
+
+  static setRating(videoId, rating) {
+    return this.patchVideo(videoId, { rating: Math.max(0, Math.min(5, rating)) });
+  }
+
+  // Progress reported by a playback tracker: played ranges are merged, watch time accumulates.
+  // Live streams have no timeline, so only their watch time is kept.
+  static recordPlayback(videoId, { position, duration, segments = [], watchTime = 0, live = false }) {
+    return this.change(library =>
+        this.patchRecord(library, videoId, stored => live ? {
+          watchTime: Math.round(((stored.watchTime || 0) + watchTime) * 10) / 10,
+          lastLiveAt: Date.now()
+        } : {
+          lastPosition: Math.round(position * 10) / 10,
+          duration: Math.round(duration * 10) / 10,
+          watchedSegments: this.mergeSegments(stored.watchedSegments || [], segments, duration),
+          watchTime: Math.round(((stored.watchTime || 0) + watchTime) * 10) / 10
+        }));
+  }
+
+  // Merge two lists of [start, end] ranges into a sorted, non-overlapping list
+  static mergeSegments(existing, added, duration) {
+    const all = [...existing, ...added]
+        .map(([start, end]) => [Math.max(0, start), Math.min(duration, end)])
+        .filter(([start, end]) => end > start)
+        .sort((a, b) => a[0] - b[0]);
+
+    const merged = [];
+    for (const [start, end] of all) {
+      const last = merged[merged.length - 1];
+      // Treat gaps under a second as continuous playback
+      if (last && start <= last[1] + 1) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    }
+
+    return merged.map(([start, end]) => [Math.round(start * 10) / 10, Math.round(end * 10) / 10]);
+  }
+
+  // Remove from history; videos in a playlist stay in the library. The destructive operations
+  // return the ID of their trash entry, for undo.
+  static deleteVideo(videoId) {
+    return this.change(async (library) => {
+      if (!library.index[videoId]) return false;
+      const trashId = await this.moveToTrash(library, 'Deleted from history', [videoId]);
+      this.removeFromHistory(library, videoId);
+      return trashId;
+    });
+  }
+
+  static clearHistory() {
+    return this.change(async (library) => {
+      const ids = Object.keys(library.index).filter(id => library.index[id].history);
+      if (ids.length === 0) return false;
+
+      const trashId = await this.moveToTrash(library, 'Cleared history', ids);
+      ids.forEach(id => this.removeFromHistory(library, id));
+      return trashId;
+    });
+  }
+
+  static addToPlaylist(videoId, name, create = false) {
+    return this.change(({ index, playlists }) => {
+      if (!index[videoId] || (!playlists[name] && !create)) return false;
+
+      playlists[name] = playlists[name] || [];
+      if (!playlists[name].includes(videoId)) {
+        playlists[name].push(videoId);
+      }
+
+      console.log(`VIBRARY: Added ${videoId} to playlist "${name}"`);
+      return true;
+    });
+  }
+
+  // The video goes when it isn't in history or another playlist
+  static removeFromPlaylist(videoId, name) {
+    return this.change(async (library) => {
+      if (!library.playlists[name]?.includes(videoId)) return false;
+
+      const trashId = await this.moveToTrash(library, `Removed from "${name}"`, [videoId]);
+      library.playlists[name] = library.playlists[name].filter(id => id !== videoId);
+      this.dropIfUnused(library, videoId);
+      return trashId;
+    });
+  }
+
+  // Returns false if a playlist with that name exists
+  static createPlaylist(name) {
+    return this.change(({ playlists }) => {
+      if (!name || playlists[name]) return false;
+      playlists[name] = [];
+      return true;
+    });
+  }
+
+  static renamePlaylist(oldName, newName) {
+    return this.change(({ playlists }) => {
+      if (!playlists[oldName] || !newName || playlists[newName]) return false;
+      playlists[newName] = playlists[oldName];
+      delete playlists[oldName];
+      return true;
+    });
+  }
+
+  static deletePlaylist(name) {
+    return this.change(async (library) => {
+      const videoIds = library.playlists[name];
+      if (!videoIds) return false;
+
+      const trashId = await this.moveToTrash(library, `Deleted playlist "${name}"`, videoIds, [name]);
+      delete library.playlists[name];
+      videoIds.forEach(id => this.dropIfUnused(library, id));
+      return trashId;
+    });
+  }
+
+  // Put a trash entry back: deleted videos, history flags, playlist memberships and deleted
+  // playlists. Videos saved again since are kept as they are now. Returns the number of videos.
+  static restoreTrash(trashId) {
+    return this.change(async (library) => {
+      const key = this.trashKey(trashId);
+      const { [key]: entry } = await chrome.storage.local.get([key]);
+      if (!entry) return false;
+
+      // A video detected again after it was deleted is stored under a new ID
+      const currentIds = {};
+      for (const [videoId, item] of Object.entries(entry.videos)) {
+        const currentId = library.index[videoId] ? videoId :
+            item.video && this.findByKey(library.index, UrlCanonicalizer.keyFor(item.video));
+
+        if (currentId) {
+          const current = library.index[currentId];
+          if (item.history && !current.history) {
+            this.setIndexEntry(library, currentId, { ...current, history: true });
+          }
+        } else if (item.video) {
+          this.putVideo(library, videoId, item.video, item.history);
+        } else {
+          continue;
+        }
+        currentIds[videoId] = currentId || videoId;
+      }
+
+      // Deleted playlists come back, merged into any created since under the same name
+      Object.entries(entry.playlists || {}).forEach(([name, ids]) => {
+        const restored = ids.map(id => currentIds[id] || id).filter(id => library.index[id]);
+        library.playlists[name] = [...new Set([...(library.playlists[name] || []), ...restored])];
+      });
+      Object.entries(entry.videos).forEach(([videoId, item]) => {
+        const id = currentIds[videoId];
+        item.playlists.forEach(name => {
+          if (id && library.playlists[name] && !library.playlists[name].includes(id)) {
+            library.playlists[name].push(id);
+          }
+        });
+      });
+
+      this.removeTrash(library, trashId);
+      return Object.keys(currentIds).length;
+    });
+  }
+
+  // Delete trash entries for good; all of them without IDs. Returns how many went.
+  static purgeTrash(trashIds = null) {
+    return this.change((library) => {
+      const ids = (trashIds || Object.keys(library.trashIndex)).filter(id => library.trashIndex[id]);
+      if (ids.length === 0) return 0;
+
+      ids.forEach(id => this.removeTrash(library, id));
+      return ids.length;
+    });
+  }
+
+  // Background only: entries older than the retention period
+  static purgeExpiredTrash(retentionDays) {
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    return this.change((library) => {
+      const expired = Object.keys(library.trashIndex).filter(id => library.trashIndex[id].deletedAt < cutoff);
+      if (expired.length === 0) return 0;
+
+      expired.forEach(id => this.removeTrash(library, id));
+      return expired.length;
+    });
+  }
+
+  // Bookmarks are kept on the entry, sorted by time; their frames go to the thumbnail store
+  static addBookmark(videoId, time, frame = null) {
+    return this.change(async (library) => {
+      if (!library.index[videoId]) return false;
+
+      const bookmark = {
+        id: `bm_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+        time,
+        note: '',
+        createdAt: Date.now()
+      };
+      if (frame?.startsWith('data:')) {
+        bookmark.frame = await ThumbnailStore.put(videoId, `bookmark-${bookmark.createdAt}`,
+            await ThumbnailStore.dataUrlToBlob(frame));
+      }
+
+      await this.patchRecord(library, videoId, stored => ({
+        bookmarks: [...(stored.bookmarks || []), bookmark].sort((a, b) => a.time - b.time)
+      }));
+      return bookmark;
+    });
+  }
+
+  static updateBookmark(videoId, bookmarkId, changes) {
+    return this.change(library =>
+        this.patchRecord(library, videoId, stored => ({
+          bookmarks: (stored.bookmarks || []).map(bookmark =>
+              bookmark.id === bookmarkId ? { ...bookmark, ...changes, id: bookmarkId } : bookmark)
+        })));
+  }
+
+  static deleteBookmark(videoId, bookmarkId) {
+    return this.change(library =>
+        this.patchRecord(library, videoId, stored => ({
+          bookmarks: (stored.bookmarks || []).filter(bookmark => bookmark.id !== bookmarkId)
+        })));
+  }
+
+  // Merge a backup into the library. Its videos are first brought up to the current schema by the
+  // same steps as stored data; thumbnails are restored by the caller beforehand and settings
+  // arrive already normalized. Returns the number of history videos afterwards.
+  static async importLibrary(backup, settings = {}) {
+    const snapshot = Object.fromEntries(Object.entries(backup)
+        .filter(([key]) => this.isLibraryKey(key) || SchemaMigrations.LEGACY_KEYS.includes(key)));
+    await SchemaMigrations.migrate(snapshot, SchemaMigrations.versionOf(backup));
+
+    const imported = snapshot.videoIndex || {};
+    return this.change(async (library) => {
+      // A video the library has under another ID is merged into that entry, as duplicates are
+      const ids = {};
+      for (const [id, entry] of Object.entries(imported)) {
+        const video = snapshot[this.recordKey(id)];
+        if (!video) continue;
+
+        const target = library.index[id]?.key === entry.key ? id : this.findByKey(library.index, entry.key) || id;
+        const inHistory = !!entry.history || !!library.index[target]?.history;
+        if (target === id) {
+          this.putVideo(library, id, video, inHistory);
+        } else {
+          const stored = await this.getRecord(library, target);
+          const merged = SchemaMigrations.combineVideos([video, stored]
+              .sort((a, b) => (b.watchedAt || 0) - (a.watchedAt || 0)));
+          this.putVideo(library, target, { ...merged, id: target, canonicalKey: entry.key }, inHistory);
+        }
+        ids[id] = target;
+      }
+
+      Object.entries(snapshot.playlists || {}).forEach(([name, videoIds]) => {
+        library.playlists[name] = [...new Set(videoIds.map(id => ids[id] || id))];
+      });
+      new Set(Object.values(ids)).forEach(id => this.dropIfUnused(library, id));
+      Object.assign(library.values, settings);
+
+      return Object.values(library.index).filter(entry => entry.history).length;
+    });
+  }
+
+  // Settings and other small values; the library keys have their own operations
+  static setValues(values) {
+    if (Object.keys(values).some(key => this.isLibraryKey(key))) {
+      return Promise.reject(new Error('Use the library operations to change videos and playlists'));
+    }
+    return this.enqueue(() => chrome.storage.local.set(values)).then(() => true);
+  }
+
+  static removeValues(keys) {
+    if (keys.some(key => this.isLibraryKey(key))) {
+      return Promise.reject(new Error('Use the library operations to change videos and playlists'));
+    }
+    return this.enqueue(() => chrome.storage.local.remove(keys)).then(() => true);
+  }
+
+  // Reads don't wait for the queue - each write lands in storage as one set()
+
+  // Stored records as { id: record }
+  static async getRecords(ids) {
+    if (ids.length === 0) return {};
+    const data = await chrome.storage.local.get(ids.map(id => this.recordKey(id)));
+    return Object.fromEntries(ids.filter(id => data[this.recordKey(id)]).map(id => [id, data[this.recordKey(id)]]));
+  }
+
+  static async getAllRecords() {
+    const { videoIndex = {} } = await chrome.storage.local.get(['videoIndex']);
+    return this.getRecords(Object.keys(videoIndex));
+  }
+
+  static async getVideo(videoId) {
+    return (await this.getRecords([videoId]))[videoId] || null;
+  }
+
+  // Trash entries, newest first
+  static async getTrash() {
+    const { trashIndex = {} } = await chrome.storage.local.get(['trashIndex']);
+    return Object.entries(trashIndex)
+        .map(([id, entry]) => ({ id, ...entry }))
+        .sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  // Records kept in the trash, as { '<trash ID>/<video ID>': record }, so their frames aren't pruned
+  static async getTrashedVideos() {
+    const { trashIndex = {} } = await chrome.storage.local.get(['trashIndex']);
+    const data = await chrome.storage.local.get(Object.keys(trashIndex).map(id => this.trashKey(id)));
+
+    const videos = {};
+    Object.keys(trashIndex).forEach(trashId => {
+      Object.entries(data[this.trashKey(trashId)]?.videos || {}).forEach(([videoId, item]) => {
+        if (item.video) videos[`${trashId}/${videoId}`] = item.video;
+      });
+    });
+    return videos;
+  }
+
+  // Videos for display, in the order asked for, with their ID and completion
+  static async getVideos(ids) {
+    const records = await this.getRecords(ids);
+    return ids.filter(id => records[id]).map(id => ({
+      ...records[id],
+      id,
+      completion: this.completion(records[id])
+    }));
+  }
+
+  // Look a video up by ID, then by canonical key. Returns { id, video } or null.
+  static async findVideo(videoId, key = null) {
+    let id = videoId;
+    let video = await this.getVideo(id);
+    if (!video && key) {
+      const { videoIndex = {} } = await chrome.storage.local.get(['videoIndex']);
+      id = this.findByKey(videoIndex, key);
+      video = id ? await this.getVideo(id) : null;
+    }
+    return video ? { id, video } : null;
+  }
+
+  // The most recently watched broadcast of a live channel, or null
+  static async findLiveSession(channelKey) {
+    const { videoIndex = {} } = await chrome.storage.local.get(['videoIndex']);
+    const ids = Object.keys(videoIndex)
+        .filter(id => videoIndex[id].live && videoIndex[id].key.startsWith(`${channelKey}#live@`));
+
+    const videos = await this.getVideos(ids);
+    return videos.sort((a, b) => (b.lastLiveAt || b.watchedAt) - (a.lastLiveAt || a.watchedAt))[0] || null;
+  }
+
+  // One page of history or of a playlist. Filters and sorting run on the index, so records are
+  // only loaded for the page - or for every candidate when searching text or going by progress.
+  // Returns { videos, total }.
+  static async queryVideos({
+    playlist = null, search = '', rating = 'all', mediaType = 'all', progress = 'all',
+    sort = 'date', offset = 0, limit = 50
+  } = {}) {
+    const { videoIndex = {}, playlists = {} } = await chrome.storage.local.get(this.LIBRARY_KEYS);
+
+    // Playlists keep their own order and aren't filtered
+    if (playlist !== null) {
+      const ids = (playlists[playlist] || []).filter(id => videoIndex[id]);
+      return { videos: await this.getVideos(ids.slice(offset, offset + limit)), total: ids.length };
+    }
+
+    let ids = Object.keys(videoIndex).filter((id) => {
+      const entry = videoIndex[id];
+      if (!entry.history) return false;
+      if (rating !== 'all' && (entry.rating || 0) !== Number(rating)) return false;
+      if (mediaType === 'live' && !entry.live) return false;
+      if (!['all', 'live'].includes(mediaType) && (entry.mediaType || 'video') !== mediaType) return false;
+      return true;
+    });
+
+    // Progress is only in the records
+    const completions = {};
+    if (progress !== 'all' || sort === 'completion') {
+      const records = await this.getRecords(ids);
+      ids.forEach(id => {
+        completions[id] = records[id] ? this.completion(records[id]) : null;
+      });
+    }
+    if (progress !== 'all') {
+      ids = ids.filter(id => progress === 'completed' ? completions[id] >= 0.9 : completions[id] !== null && completions[id] < 0.9);
+    }
+
+    const sorters = {
+      date: (a, b) => videoIndex[b].watchedAt - videoIndex[a].watchedAt,
+      completion: (a, b) => (completions[b] ?? -1) - (completions[a] ?? -1),
+      rating: (a, b) => (videoIndex[b].rating || 0) - (videoIndex[a].rating || 0)
+    };
+    ids.sort(sorters[sort] || sorters.date);
+
+    if (!search) {
+      return { videos: await this.getVideos(ids.slice(offset, offset + limit)), total: ids.length };
+    }
+
+    const term = search.toLowerCase();
+    const matches = (await this.getVideos(ids)).filter(v =>
+        (v.title || '').toLowerCase().includes(term) ||
+        (v.website || '').toLowerCase().includes(term) ||
+        (v.creator || v.artist || '').toLowerCase().includes(term) ||
+        (v.bookmarks || []).some(bookmark => bookmark.note?.toLowerCase().includes(term)));
+    return { videos: matches.slice(offset, offset + limit), total: matches.length };
+  }
+
+  // Returns { history, library }
+  static async countVideos() {
+    const { videoIndex = {}, playlists = {} } = await chrome.storage.local.get(this.LIBRARY_KEYS);
+    return {
+      history: Object.values(videoIndex).filter(entry => entry.history).length,
+      library: new Set(Object.values(playlists).flat().filter(id => videoIndex[id])).size
+    };
+  }
+
+  // The whole library as stored, for backups: the index, playlists and every record, plus the
+  // schema version and the thumbnail references to save alongside
+  static async exportLibrary() {
+    const data = await chrome.storage.local.get([...this.LIBRARY_KEYS, 'schemaVersion']);
+    const records = await this.getRecords(Object.keys(data.videoIndex || {}));
+
+    const library = {
+      schemaVersion: data.schemaVersion || SchemaMigrations.CURRENT_VERSION,
+      videoIndex: data.videoIndex || {},
+      playlists: data.playlists || {}
+    };
+    Object.entries(records).forEach(([id, video]) => {
+      library[this.recordKey(id)] = video;
+    });
+
+    return {
+      library,
+      videoCount: Object.keys(records).length,
+      thumbnailRefs: [...ThumbnailStore.collectRefs(records)]
+    };
+  }
+}
@@ -0,0 +1,96 @@
+// VIBRARY Maintenance - background jobs driven by chrome.alarms, which wake the service worker even
+// after it has been suspended. Jobs register with a period; the time and outcome of each run are kept
+// in storage (maintenanceStatus), so schedules survive restarts and the popup can show them.
+// Runs in the background worker.
+class Maintenance {
+  static ALARM_PREFIX = 'job:';
+
+  // Chrome won't fire alarms sooner than this
+  static MIN_DELAY_MS = 30 * 1000;
+
+  static jobs = new Map();
+  static running = new Map();
+
+  // job: { label, periodMinutes, run }; run() resolves with a short summary of what it did
+  static register(name, job) {
+    this.jobs.set(name, job);
+  }
+
+  // Call while the worker starts, so the alarm that woke it is delivered
+  static start() {
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name.startsWith(this.ALARM_PREFIX)) {
+        this.runJob(alarm.name.slice(this.ALARM_PREFIX.length)).catch(() => {});
+      }
+    });
+    return this.schedule().catch(e => console.error('VIBRARY: Failed to schedule maintenance:', e));
+  }
+
+  // Create missing alarms. A job that came due while the browser was closed runs shortly after startup.
+  static async schedule() {
+    const { maintenanceStatus = {} } = await chrome.storage.local.get(['maintenanceStatus']);
+    const alarms = await chrome.alarms.getAll();
+
+    for (const alarm of alarms) {
+      const name = alarm.name.slice(this.ALARM_PREFIX.length);
+      if (alarm.name.startsWith(this.ALARM_PREFIX) && !this.jobs.has(name)) {
+        await chrome.alarms.clear(alarm.name);
+      }
+    }
+
+    for (const [name, job] of this.jobs) {
+      const existing = alarms.find(alarm => alarm.name === this.ALARM_PREFIX + name);
+      if (existing?.periodInMinutes === job.periodMinutes) continue;
+
+      const lastRunAt = maintenanceStatus[name]?.lastRunAt || 0;
+      const when = Math.max(Date.now() + this.MIN_DELAY_MS, lastRunAt + job.periodMinutes * 60 * 1000);
+      await chrome.alarms.create(this.ALARM_PREFIX + name, { when, periodInMinutes: job.periodMinutes });
+    }
+  }
+
+  // Run a job now and record the outcome. A job that is already running isn't started twice.
+  static runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) return Promise.reject(new Error(`Unknown maintenance job: ${name}`));
+    if (this.running.has(name)) return this.running.get(name);
+
+    const run = this.execute(name, job).finally(() => this.running.delete(name));
+    this.running.set(name, run);
+    return run;
+  }
+
+  static async execute(name, job) {
+    const startedAt = Date.now();
+    let status;
+    try {
+      const message = await job.run();
+      status = { lastRunAt: startedAt, duration: Date.now() - startedAt, outcome: 'ok', message: message || '' };
+    } catch (e) {
+      console.error(`VIBRARY: Maintenance job ${name} failed:`, e);
+      status = { lastRunAt: startedAt, duration: Date.now() - startedAt, outcome: 'error', message: e.message };
+    }
+
+    await LibraryStore.enqueue(async () => {
+      const { maintenanceStatus = {} } = await chrome.storage.local.get(['maintenanceStatus']);
+      await chrome.storage.local.set({ maintenanceStatus: { ...maintenanceStatus, [name]: status } });
+    });
+    return status;
+  }
+
+  // Every job with its last run, outcome and next run
+  static async getStatus() {
+    const { maintenanceStatus = {} } = await chrome.storage.local.get(['maintenanceStatus']);
+
+    return Promise.all([...this.jobs].map(async ([name, job]) => {
+      const alarm = await chrome.alarms.get(this.ALARM_PREFIX + name);
+      return {
+        name,
+        label: job.label,
+        periodMinutes: job.periodMinutes,
+        nextRunAt: alarm?.scheduledTime || null,
+        running: this.running.has(name),
+        ...maintenanceStatus[name]
+      };
+    }));
+  }
+}
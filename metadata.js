@@ -0,0 +1,192 @@
+// VIBRARY Metadata Extractor - collects video details from structured data on the page.
+// Sources, in order of precedence: the media element, JSON-LD, microdata, OpenGraph/meta tags.
+class MetadataExtractor {
+  // Fields filled by the extractor
+  static FIELDS = ['duration', 'description', 'creator', 'publishedAt', 'language', 'canonicalUrl'];
+
+  static JSON_LD_TYPES = [
+    'VideoObject', 'AudioObject', 'MusicRecording', 'PodcastEpisode', 'Episode', 'TVEpisode', 'Movie', 'Clip'
+  ];
+
+  static MAX_DESCRIPTION = 500;
+
+  // Returns { title, duration, description, creator, publishedAt, language, canonicalUrl,
+  // liveStartedAt } with empty fields left out. Structured data describing another URL (stale after
+  // an SPA navigation) is ignored.
+  static extract(media, pageUrl = location.href) {
+    const pageKey = UrlCanonicalizer.canonicalize(pageUrl).key;
+    const matchesPage = url => !url || UrlCanonicalizer.canonicalize(this.resolve(url)).key === pageKey;
+
+    const jsonLd = this.fromJsonLd();
+    const microdata = this.fromMicrodata();
+    const meta = this.fromMetaTags();
+    const element = this.fromMediaElement(media);
+
+    const sources = [element, jsonLd, microdata, meta].map(source => matchesPage(source.url) ? source : {});
+    const pick = field => sources.map(source => source[field]).find(value => value);
+
+    const result = {
+      title: pick('title'),
+      duration: pick('duration'),
+      description: pick('description')?.slice(0, this.MAX_DESCRIPTION),
+      creator: pick('creator'),
+      publishedAt: pick('publishedAt'),
+      language: pick('language'),
+      canonicalUrl: this.canonicalLink() || pick('url'),
+      liveStartedAt: pick('liveStartedAt')
+    };
+
+    // Only report a declared canonical URL that points at this video
+    if (result.canonicalUrl && !matchesPage(result.canonicalUrl)) {
+      delete result.canonicalUrl;
+    }
+
+    Object.keys(result).forEach(key => result[key] === undefined && delete result[key]);
+    return result;
+  }
+
+  static fromMediaElement(media) {
+    if (!media || !isFinite(media.duration) || media.duration <= 0) return {};
+    return { duration: Math.round(media.duration) };
+  }
+
+  static fromJsonLd() {
+    const items = [];
+    document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+      try {
+        this.flattenJsonLd(JSON.parse(script.textContent), items);
+      } catch (e) {
+        // Malformed JSON-LD is common - ignore it
+      }
+    });
+
+    const item = items.find(entry => [].concat(entry['@type']).some(type => this.JSON_LD_TYPES.includes(type)));
+    if (!item) return {};
+
+    return {
+      title: this.text(item.name),
+      url: this.text(item.url),
+      duration: this.parseDuration(item.duration),
+      description: this.text(item.description),
+      creator: this.personName(item.author) || this.personName(item.creator) ||
+          this.personName(item.byArtist) || this.personName(item.publisher),
+      publishedAt: this.parseDate(item.uploadDate || item.datePublished || item.dateCreated),
+      language: this.parseLanguage(item.inLanguage),
+      liveStartedAt: this.liveStart(item.publication)
+    };
+  }
+
+  // Start of a broadcast that is still running, from a BroadcastEvent
+  static liveStart(publication) {
+    const event = [].concat(publication || []).find(entry => entry?.isLiveBroadcast);
+    return event && !event.endDate ? this.parseDate(event.startDate) : undefined;
+  }
+
+  static flattenJsonLd(node, items) {
+    if (Array.isArray(node)) {
+      node.forEach(child => this.flattenJsonLd(child, items));
+    } else if (node && typeof node === 'object') {
+      items.push(node);
+      if (node['@graph']) this.flattenJsonLd(node['@graph'], items);
+      if (node.mainEntity) this.flattenJsonLd(node.mainEntity, items);
+      if (node.video) this.flattenJsonLd(node.video, items);
+    }
+  }
+
+  // schema.org microdata, e.g. <meta itemprop="duration" content="PT4M13S">
+  static fromMicrodata() {
+    const scope = document.querySelector('[itemtype*="schema.org/VideoObject"]');
+    if (!scope) return {};
+
+    const prop = name => {
+      const el = scope.querySelector(`[itemprop="${name}"]`);
+      return el?.getAttribute('content') || el?.getAttribute('href') || el?.textContent?.trim() || undefined;
+    };
+    const author = scope.querySelector('[itemprop="author"]');
+
+    return {
+      title: prop('name'),
+      url: prop('url'),
+      duration: this.parseDuration(prop('duration')),
+      description: prop('description'),
+      creator: author?.querySelector('[itemprop="name"]')?.getAttribute('content') ||
+          author?.querySelector('[itemprop="name"]')?.textContent?.trim() || undefined,
+      publishedAt: this.parseDate(prop('uploadDate') || prop('datePublished')),
+      language: this.parseLanguage(prop('inLanguage'))
+    };
+  }
+
+  static fromMetaTags() {
+    const meta = (...names) => {
+      for (const name of names) {
+        const el = document.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+        const content = el?.getAttribute('content')?.trim();
+        if (content) return content;
+      }
+      return undefined;
+    };
+
+    const duration = parseFloat(meta('og:video:duration', 'video:duration', 'music:duration'));
+
+    return {
+      title: meta('og:title', 'twitter:title'),
+      url: meta('og:url'),
+      duration: duration > 0 ? Math.round(duration) : undefined,
+      description: meta('og:description', 'twitter:description', 'description'),
+      creator: meta('article:author', 'author', 'music:musician', 'twitter:creator'),
+      publishedAt: this.parseDate(meta('video:release_date', 'article:published_time', 'music:release_date')),
+      language: this.parseLanguage(meta('og:locale')) || this.parseLanguage(document.documentElement.lang)
+    };
+  }
+
+  static canonicalLink() {
+    const href = document.querySelector('link[rel="canonical"]')?.getAttribute('href');
+    return href ? this.resolve(href) : undefined;
+  }
+
+  // ISO 8601 durations ("PT1H2M3S", "P0DT4M") or plain seconds
+  static parseDuration(value) {
+    if (typeof value === 'number') return value > 0 ? Math.round(value) : undefined;
+    if (typeof value !== 'string') return undefined;
+
+    const match = value.match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?)?$/i);
+    if (!match) {
+      const seconds = parseFloat(value);
+      return seconds > 0 ? Math.round(seconds) : undefined;
+    }
+
+    const [, days, hours, minutes, seconds] = match.map(part => parseFloat(part) || 0);
+    const total = Math.round(days * 86400 + hours * 3600 + minutes * 60 + seconds);
+    return total > 0 ? total : undefined;
+  }
+
+  // Normalized to an ISO date string
+  static parseDate(value) {
+    if (!value) return undefined;
+    const date = new Date(value);
+    return isNaN(date) ? undefined : date.toISOString();
+  }
+
+  // "en_US" and { name: "English" } style values to a BCP 47 tag or name
+  static parseLanguage(value) {
+    const language = typeof value === 'object' ? (value?.alternateName || value?.name) : value;
+    return typeof language === 'string' && language.trim() ? language.trim().replace('_', '-') : undefined;
+  }
+
+  static personName(value) {
+    const person = Array.isArray(value) ? value[0] : value;
+    return typeof person === 'string' ? person.trim() || undefined : this.text(person?.name);
+  }
+
+  static text(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+  }
+
+  static resolve(url) {
+    try {
+      return new URL(url, location.href).href;
+    } catch (e) {
+      return url;
+    }
+  }
+}
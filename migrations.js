@@ -0,0 +1,248 @@
+// VIBRARY Schema Migrations - ordered steps that bring stored data up to the current schema.
+// The same steps run on extension updates, on imported files and on restored backups. Each step
+// changes a snapshot (storage key → value) in place and must leave already migrated data as it is,
+// so running it twice is harmless. Runs in the background worker.
+class SchemaMigrations {
+  static CURRENT_VERSION = 4;
+
+  // Keys of earlier layouts that imports may still contain
+  static LEGACY_KEYS = ['videos', 'historyVideos', 'libraryVideos'];
+
+  static STEPS = [
+    { version: 1, name: 'Split videos into history and library', run: snapshot => this.splitHistoryAndLibrary(snapshot) },
+    { version: 2, name: 'Merge duplicates by canonical URL', run: snapshot => this.mergeDuplicates(snapshot) },
+    { version: 3, name: 'Move thumbnails to IndexedDB', run: snapshot => this.externalizeThumbnails(snapshot) },
+    { version: 4, name: 'Store each video under its own key', run: snapshot => this.shardVideos(snapshot) }
+  ];
+
+  // Data without a version predates versioning; every step runs and skips what is already done
+  static versionOf(snapshot) {
+    return Number(snapshot?.schemaVersion) || 0;
+  }
+
+  // Apply the steps after fromVersion in order. Returns the names of the steps that ran.
+  static async migrate(snapshot, fromVersion = this.versionOf(snapshot)) {
+    if (fromVersion > this.CURRENT_VERSION) {
+      throw new Error('The data comes from a newer version of VIBRARY');
+    }
+
+    const applied = [];
+    for (const step of this.STEPS.filter(step => step.version > fromVersion)) {
+      await step.run(snapshot);
+      applied.push(step.name);
+      console.log(`VIBRARY: Schema v${step.version} - ${step.name}`);
+    }
+    snapshot.schemaVersion = this.CURRENT_VERSION;
+    return applied;
+  }
+
+  // Bring chrome.storage up to date. Writes nothing when it already is.
+  static async migrateStorage() {
+    const data = await chrome.storage.local.get(null);
+    const fromVersion = this.versionOf(data);
+    if (fromVersion >= this.CURRENT_VERSION) return [];
+
+    const keysBefore = Object.keys(data);
+    const applied = await this.migrate(data, fromVersion);
+
+    await chrome.storage.local.set(data);
+    const removed = keysBefore.filter(key => !(key in data));
+    if (removed.length > 0) {
+      await chrome.storage.local.remove(removed);
+    }
+    return applied;
+  }
+
+  // v1: the single videos object becomes history, with playlist videos copied to the library
+  static splitHistoryAndLibrary(snapshot) {
+    if (!snapshot.videos) return;
+
+    if (!snapshot.historyVideos) {
+      const videos = snapshot.videos;
+      const playlists = snapshot.playlists || {};
+
+      // Get all video IDs in playlists
+      const playlistVideoIds = new Set();
+      Object.values(playlists).forEach(videoIds => {
+        if (Array.isArray(videoIds)) {
+          videoIds.forEach(id => playlistVideoIds.add(id));
+        }
+      });
+
+      const historyVideos = {};
+      const libraryVideos = {};
+      for (const [id, video] of Object.entries(videos)) {
+        // All videos go to history, videos in playlists also go to library
+        historyVideos[id] = video;
+        if (playlistVideoIds.has(id)) {
+          libraryVideos[id] = { ...video };
+        }
+      }
+
+      snapshot.historyVideos = historyVideos;
+      snapshot.libraryVideos = libraryVideos;
+      snapshot.playlists = playlists;
+      snapshot.lastCleanupTime = snapshot.lastCleanupTime || Date.now();
+      console.log(`VIBRARY: Migrated ${Object.keys(historyVideos).length} to history, ${Object.keys(libraryVideos).length} to library`);
+    }
+
+    delete snapshot.videos;
+  }
+
+  // v2: entries pointing at the same video under different URLs are merged
+  static mergeDuplicates(snapshot) {
+    delete snapshot.canonicalMergeDone;
+    if (!snapshot.historyVideos && !snapshot.libraryVideos) return;
+
+    const historyVideos = snapshot.historyVideos || {};
+    const libraryVideos = snapshot.libraryVideos || {};
+    const playlists = snapshot.playlists || {};
+
+    // Group all known video IDs by canonical key; keys already set (live broadcasts, edits) are kept
+    const groups = new Map();
+    const allIds = new Set([...Object.keys(historyVideos), ...Object.keys(libraryVideos)]);
+
+    for (const id of allIds) {
+      const key = UrlCanonicalizer.keyFor(historyVideos[id] || libraryVideos[id]);
+
+      if (historyVideos[id]) historyVideos[id].canonicalKey = key;
+      if (libraryVideos[id]) libraryVideos[id].canonicalKey = key;
+
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(id);
+    }
+
+    let mergedCount = 0;
+
+    for (const ids of groups.values()) {
+      if (ids.length < 2) continue;
+
+      // Keep the most recently watched entry's ID
+      const entries = ids.map(id => ({ id, video: historyVideos[id] || libraryVideos[id] }))
+          .sort((a, b) => (b.video.watchedAt || 0) - (a.video.watchedAt || 0));
+      const survivorId = entries[0].id;
+      const merged = this.combineVideos(entries.map(e => e.video));
+
+      const inHistory = ids.some(id => historyVideos[id]);
+      const inLibrary = ids.some(id => libraryVideos[id]);
+
+      ids.forEach(id => {
+        delete historyVideos[id];
+        delete libraryVideos[id];
+      });
+
+      if (inHistory) historyVideos[survivorId] = { ...merged };
+      if (inLibrary) libraryVideos[survivorId] = { ...merged };
+
+      // Point playlists at the surviving entry
+      const duplicateIds = new Set(ids);
+      for (const [name, videoIds] of Object.entries(playlists)) {
+        if (!Array.isArray(videoIds) || !videoIds.some(id => duplicateIds.has(id))) continue;
+
+        const updated = videoIds.map(id => duplicateIds.has(id) ? survivorId : id);
+        playlists[name] = [...new Set(updated)];
+      }
+
+      mergedCount += ids.length - 1;
+    }
+
+    snapshot.historyVideos = historyVideos;
+    snapshot.libraryVideos = libraryVideos;
+    snapshot.playlists = playlists;
+    console.log(`VIBRARY: Merged ${mergedCount} duplicate videos`);
+  }
+
+  // Combine duplicate entries of one video; the first entry is the most recent
+  static combineVideos(videos) {
+    const [latest] = videos;
+
+    // Union of captured frames, at most 10 spread across the video
+    const frames = videos.flatMap(v => v.thumbnailCollection || [])
+        .sort((a, b) => a.time - b.time)
+        .filter((frame, i, all) => i === 0 || frame.time - all[i - 1].time >= 5);
+    const step = Math.max(1, frames.length / 10);
+    const thumbnailCollection = frames.length > 10 ?
+        Array.from({ length: 10 }, (_, i) => frames[Math.floor(i * step)]) :
+        frames;
+
+    // Union of watched ranges
+    const segments = videos.flatMap(v => v.watchedSegments || [])
+        .map(segment => [...segment])
+        .sort((a, b) => a[0] - b[0]);
+    const watchedSegments = [];
+    for (const segment of segments) {
+      const last = watchedSegments[watchedSegments.length - 1];
+      if (last && segment[0] <= last[1]) {
+        last[1] = Math.max(last[1], segment[1]);
+      } else {
+        watchedSegments.push(segment);
+      }
+    }
+
+    const withPosition = videos.find(v => v.lastPosition);
+
+    return {
+      ...latest,
+      rating: Math.max(...videos.map(v => v.rating || 0)),
+      thumbnail: latest.thumbnail || videos.find(v => v.thumbnail)?.thumbnail || '',
+      thumbnailCollection: thumbnailCollection.length > 0 ? thumbnailCollection : latest.thumbnailCollection,
+      lastPosition: withPosition?.lastPosition,
+      duration: withPosition?.duration || latest.duration,
+      watchedSegments,
+      watchTime: videos.reduce((sum, v) => sum + (v.watchTime || 0), 0)
+    };
+  }
+
+  // v3: data-URL thumbnails move into IndexedDB, entries keep references
+  static async externalizeThumbnails(snapshot) {
+    delete snapshot.thumbnailStoreMigrated;
+    const historyVideos = snapshot.historyVideos || {};
+    const libraryVideos = snapshot.libraryVideos || {};
+    let migrated = 0;
+
+    // History and library hold copies of the same entry - store each frame once
+    const allIds = new Set([...Object.keys(historyVideos), ...Object.keys(libraryVideos)]);
+    for (const id of allIds) {
+      const video = historyVideos[id] || libraryVideos[id];
+      if (!ThumbnailStore.needsExternalizing(video)) continue;
+
+      const { thumbnail, thumbnailRef, thumbnailCollection } = await ThumbnailStore.externalizeVideo(id, video);
+      const changes = { thumbnail, thumbnailRef, thumbnailCollection };
+
+      if (historyVideos[id]) historyVideos[id] = { ...historyVideos[id], ...changes };
+      if (libraryVideos[id]) libraryVideos[id] = { ...libraryVideos[id], ...changes };
+      migrated++;
+    }
+
+    if (migrated > 0) {
+      console.log(`VIBRARY: Moved thumbnails of ${migrated} videos to IndexedDB`);
+    }
+  }
+
+  // v4: history and library copies become one record per video plus the index
+  static shardVideos(snapshot) {
+    if (!snapshot.historyVideos && !snapshot.libraryVideos) return;
+
+    const historyVideos = snapshot.historyVideos || {};
+    const libraryVideos = snapshot.libraryVideos || {};
+    const playlists = snapshot.playlists || {};
+    const videoIndex = snapshot.videoIndex || {};
+    let moved = 0;
+
+    // The history copy is the most recent; library copies no playlist holds are dropped
+    for (const id of new Set([...Object.keys(libraryVideos), ...Object.keys(historyVideos)])) {
+      if (!historyVideos[id] && !LibraryStore.isInPlaylist(playlists, id)) continue;
+
+      const video = { ...libraryVideos[id], ...historyVideos[id] };
+      snapshot[LibraryStore.recordKey(id)] = video;
+      videoIndex[id] = LibraryStore.indexEntry(video, !!historyVideos[id] || !!videoIndex[id]?.history);
+      moved++;
+    }
+
+    snapshot.videoIndex = videoIndex;
+    snapshot.playlists = playlists;
+    delete snapshot.historyVideos;
+    delete snapshot.libraryVideos;
+    console.log(`VIBRARY: Moved ${moved} videos to per-video storage`);
+  }
+}
@@ -0,0 +1,29 @@
+// VIBRARY Page Hook - runs in the page's own context so it sees the site's own API calls
+(() => {
+  if (window.__vibraryPageHook) return;
+  window.__vibraryPageHook = true;
+
+  const notify = () => {
+    window.dispatchEvent(new Event('vibrary:locationchange'));
+  };
+
+  // Single-page sites navigate with pushState/replaceState, which fire no events
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = history[method];
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      notify();
+      return result;
+    };
+  });
+
+  // Web component players keep their <video> inside a shadow root - let the content script know
+  const attachShadow = Element.prototype.attachShadow;
+  Element.prototype.attachShadow = function (...args) {
+    const root = attachShadow.apply(this, args);
+    if (this.isConnected) {
+      this.dispatchEvent(new CustomEvent('vibrary:shadowroot', { bubbles: true, composed: true }));
+    }
+    return root;
+  };
+})();
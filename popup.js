@@ -1,17 +1,26 @@
 // VIBRARY Popup - Final version with custom modals
 class VibraryPopup {
   constructor() {
-    this.historyVideos = {};
-    this.libraryVideos = {};
+    this.videos = {}; // Only the videos on screen - lists are loaded a page at a time
+    this.pageSize = 50;
+    this.shownCount = this.pageSize;
+    this.renderId = 0;
     this.playlists = {};
     this.blacklist = [];
     this.blacklistEnabled = false;
-    this.cleanupInterval = 'off';
+    this.siteRulesMode = 'block';
+    this.engagementSettings = EngagementThreshold.normalize();
+    this.ratingPromptSettings = RatingPrompt.normalize();
+    this.trackingPause = null;
+    this.cleanupPolicy = CleanupPolicy.normalize();
+    this.thumbnailSettings = ThumbnailEncoder.normalize();
     this.currentTab = 'history';
     this.currentPlaylist = null;
     this.refreshInterval = null;
     this.lastVideoCount = 0;
     this.newVideoTime = null;
+    this.thumbnailUrls = new Map();
+    this.thumbnailObserver = null;
 
     this.init();
   }
@@ -33,27 +42,40 @@ class VibraryPopup {
       if (this.refreshInterval) {
         clearInterval(this.refreshInterval);
       }
+      this.thumbnailObserver?.disconnect();
+      this.thumbnailUrls.forEach(promise => promise.then(url => url && URL.revokeObjectURL(url)));
     });
   }
 
   async loadData() {
     const data = await chrome.storage.local.get([
-      'historyVideos',
-      'libraryVideos',
       'playlists',
       'blacklist',
       'blacklistEnabled',
-      'cleanupInterval'
+      'siteRulesMode',
+      'engagementSettings',
+      'ratingPromptSettings',
+      'trackingPause',
+      'cleanupPolicy',
+      'trashRetentionDays',
+      'backupSettings',
+      'thumbnailSettings'
     ]);
-    this.historyVideos = data.historyVideos || {};
-    this.libraryVideos = data.libraryVideos || {};
     this.playlists = data.playlists || {};
     this.blacklist = data.blacklist || [];
     this.blacklistEnabled = data.blacklistEnabled || false;
-    this.cleanupInterval = data.cleanupInterval || 'off';
+    this.siteRulesMode = data.siteRulesMode || 'block';
+    this.engagementSettings = EngagementThreshold.normalize(data.engagementSettings);
+    this.ratingPromptSettings = RatingPrompt.normalize(data.ratingPromptSettings);
+    this.trackingPause = data.trackingPause || null;
+    this.cleanupPolicy = CleanupPolicy.normalize(data.cleanupPolicy);
+    this.trashRetentionDays = data.trashRetentionDays || 30;
+    this.backupSettings = BackupStore.normalize(data.backupSettings);
+    this.thumbnailSettings = ThumbnailEncoder.normalize(data.thumbnailSettings);
 
     // Check if we have a new video
-    const currentVideoCount = Object.keys(this.historyVideos).length;
+    const counts = await LibraryApi.countVideos();
+    const currentVideoCount = counts?.history || 0;
     if (currentVideoCount > this.lastVideoCount && this.lastVideoCount > 0) {
       // New video detected! Start refresh timer
       this.newVideoTime = Date.now();
@@ -81,20 +103,57 @@ class VibraryPopup {
     }, 2000);
   }
 
-  async saveData() {
-    await chrome.storage.local.set({
-      historyVideos: this.historyVideos,
-      libraryVideos: this.libraryVideos,
-      playlists: this.playlists,
-      blacklist: this.blacklist,
-      blacklistEnabled: this.blacklistEnabled,
-      cleanupInterval: this.cleanupInterval
-    });
+  // Changes go through the background worker (LibraryApi); reload afterwards to show the stored result
+  async refresh() {
+    await this.loadData();
+    await this.render();
+  }
+
+  // Thumbnails live in IndexedDB - removed entries leave frames behind for the background to prune
+  pruneThumbnails() {
+    chrome.runtime.sendMessage({ action: 'pruneThumbnails' }).catch(() => {});
+  }
+
+  // Object URL for a stored frame, cached for the lifetime of the popup
+  getThumbnailUrl(ref) {
+    if (!this.thumbnailUrls.has(ref)) {
+      this.thumbnailUrls.set(ref, ThumbnailStore.get(ref)
+          .then(blob => blob ? URL.createObjectURL(blob) : null)
+          .catch(() => null));
+    }
+    return this.thumbnailUrls.get(ref);
+  }
+
+  getFrameUrl(frame) {
+    return frame.ref ? this.getThumbnailUrl(frame.ref) : Promise.resolve(frame.thumbnail || null);
+  }
+
+  // Load stored thumbnails once their card scrolls into view
+  loadThumbnails(container) {
+    if (!this.thumbnailObserver) {
+      this.thumbnailObserver = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          if (!entry.isIntersecting) return;
+          const img = entry.target;
+          this.thumbnailObserver.unobserve(img);
+
+          this.getThumbnailUrl(img.dataset.thumbRef).then(url => {
+            if (url) {
+              img.src = url;
+            } else {
+              img.parentElement?.classList.add('no-image');
+              img.style.display = 'none';
+            }
+          });
+        });
+      }, { rootMargin: '200px' });
+    }
+
+    container.querySelectorAll('img[data-thumb-ref]').forEach(img => this.thumbnailObserver.observe(img));
   }
 
   getVideo(id) {
-    // Check both storages
-    return this.historyVideos[id] || this.libraryVideos[id];
+    return this.videos[id];
   }
 
   setupTabs() {
@@ -107,6 +166,7 @@ class VibraryPopup {
         // Show correct content
         this.currentTab = tab.dataset.tab;
         this.currentPlaylist = null;
+        this.resetPaging();
         this.render();
       });
     });
@@ -126,17 +186,35 @@ class VibraryPopup {
       this.showNewPlaylistModal();
     });
 
+    // Save the video in the current tab, even if automatic detection skipped it
+    document.getElementById('save-current')?.addEventListener('click', () => {
+      this.saveCurrentVideo();
+    });
+
     // Search
     document.getElementById('search-input')?.addEventListener('input', () => {
+      this.resetPaging();
       this.render();
     });
 
     // Filters
     document.getElementById('rating-filter')?.addEventListener('change', () => {
+      this.resetPaging();
+      this.render();
+    });
+
+    document.getElementById('media-filter')?.addEventListener('change', () => {
+      this.resetPaging();
+      this.render();
+    });
+
+    document.getElementById('progress-filter')?.addEventListener('change', () => {
+      this.resetPaging();
       this.render();
     });
 
     document.getElementById('sort-by')?.addEventListener('change', () => {
+      this.resetPaging();
       this.render();
     });
   }
@@ -175,20 +253,126 @@ class VibraryPopup {
       document.getElementById('import-modal').classList.remove('active');
     });
 
+    // Backups modal
+    document.getElementById('backup-download-toggle')?.addEventListener('click', () => {
+      document.getElementById('backup-download-checkbox').classList.toggle('checked');
+    });
+
+    document.getElementById('backup-list')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-snapshot-id]');
+      if (!button) return;
+      if (button.classList.contains('backup-restore-btn')) {
+        this.showRestoreSnapshotModal(button.dataset.snapshotId);
+      } else {
+        this.deleteSnapshot(button.dataset.snapshotId);
+      }
+    });
+
+    document.getElementById('backup-save-btn')?.addEventListener('click', () => {
+      this.saveBackupSettings();
+    });
+
+    document.getElementById('backup-now-btn')?.addEventListener('click', () => {
+      this.createSnapshot();
+    });
+
+    document.getElementById('backup-cancel-btn')?.addEventListener('click', () => {
+      document.getElementById('backup-modal').classList.remove('active');
+    });
+
+    document.getElementById('restore-snapshot-btn')?.addEventListener('click', () => {
+      this.confirmRestoreSnapshot();
+    });
+
+    document.getElementById('restore-snapshot-cancel-btn')?.addEventListener('click', () => {
+      document.getElementById('restore-snapshot-modal').classList.remove('active');
+    });
+
     // Auto-cleanup modal
     document.getElementById('cleanup-save-btn')?.addEventListener('click', () => {
       this.saveCleanupSettings();
     });
 
+    document.getElementById('cleanup-preview-btn')?.addEventListener('click', () => {
+      this.previewCleanup();
+    });
+
     document.getElementById('cleanup-cancel-btn')?.addEventListener('click', () => {
       document.getElementById('auto-cleanup-modal').classList.remove('active');
     });
 
+    // Thumbnail settings modal
+    document.getElementById('thumbnail-save-btn')?.addEventListener('click', () => {
+      this.saveThumbnailSettings();
+    });
+
+    document.getElementById('thumbnail-reencode-btn')?.addEventListener('click', () => {
+      this.reencodeThumbnails();
+    });
+
+    document.getElementById('thumbnail-cancel-btn')?.addEventListener('click', () => {
+      document.getElementById('thumbnail-modal').classList.remove('active');
+    });
+
+    // Watch threshold modal
+    ['engagement-unmuted', 'engagement-user'].forEach(id => {
+      document.getElementById(`${id}-toggle`)?.addEventListener('click', () => {
+        document.getElementById(`${id}-checkbox`).classList.toggle('checked');
+      });
+    });
+
+    document.getElementById('engagement-save-btn')?.addEventListener('click', () => {
+      this.saveEngagementSettings();
+    });
+
+    document.getElementById('engagement-cancel-btn')?.addEventListener('click', () => {
+      document.getElementById('engagement-modal').classList.remove('active');
+    });
+
+    // Rating prompt modal
+    document.getElementById('rating-prompt-toggle')?.addEventListener('click', () => {
+      document.getElementById('rating-prompt-checkbox').classList.toggle('checked');
+    });
+
+    document.getElementById('rating-prompt-save-btn')?.addEventListener('click', () => {
+      this.saveRatingPromptSettings();
+    });
+
+    document.getElementById('rating-prompt-cancel-btn')?.addEventListener('click', () => {
+      document.getElementById('rating-prompt-modal').classList.remove('active');
+    });
+
+    // Pause tracking - the header button pauses, or resumes when already paused
+    document.getElementById('pause-btn')?.addEventListener('click', () => {
+      if (this.isPaused()) {
+        this.setTrackingPause(null);
+      } else {
+        document.getElementById('pause-modal').classList.add('active');
+      }
+    });
+
+    document.getElementById('pause-resume-btn')?.addEventListener('click', () => {
+      this.setTrackingPause(null);
+    });
+
+    document.getElementById('pause-confirm-btn')?.addEventListener('click', () => {
+      this.setTrackingPause(document.getElementById('pause-duration').value);
+    });
+
+    document.getElementById('pause-cancel-btn')?.addEventListener('click', () => {
+      document.getElementById('pause-modal').classList.remove('active');
+    });
+
     // Blacklist modal
     document.getElementById('blacklist-toggle')?.addEventListener('click', () => {
       document.getElementById('blacklist-checkbox').classList.toggle('checked');
     });
 
+    // Re-test the URL as the rules are edited
+    ['blacklist-textarea', 'site-rules-test-input', 'site-rules-mode'].forEach(id => {
+      document.getElementById(id)?.addEventListener('input', () => this.testSiteRules());
+    });
+
     document.getElementById('blacklist-save-btn')?.addEventListener('click', () => {
       this.saveBlacklistSettings();
     });
@@ -197,6 +381,40 @@ class VibraryPopup {
       document.getElementById('blacklist-modal').classList.remove('active');
     });
 
+    // Trash modal
+    document.getElementById('trash-list')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-trash-id]');
+      if (!button) return;
+      if (button.classList.contains('trash-restore-btn')) {
+        this.restoreTrash(button.dataset.trashId);
+      } else {
+        this.purgeTrash([button.dataset.trashId]);
+      }
+    });
+
+    document.getElementById('trash-retention')?.addEventListener('change', async (e) => {
+      this.trashRetentionDays = parseInt(e.target.value);
+      await LibraryApi.setValues({ trashRetentionDays: this.trashRetentionDays });
+    });
+
+    document.getElementById('trash-empty-btn')?.addEventListener('click', () => {
+      this.purgeTrash();
+    });
+
+    document.getElementById('trash-close-btn')?.addEventListener('click', () => {
+      document.getElementById('trash-modal').classList.remove('active');
+    });
+
+    // Maintenance modal
+    document.getElementById('maintenance-jobs')?.addEventListener('click', (e) => {
+      const button = e.target.closest('.maintenance-run-btn');
+      if (button) this.runMaintenanceJob(button.dataset.job);
+    });
+
+    document.getElementById('maintenance-close-btn')?.addEventListener('click', () => {
+      document.getElementById('maintenance-modal').classList.remove('active');
+    });
+
     // Delete confirmation modal
     document.getElementById('delete-confirm-btn')?.addEventListener('click', () => {
       this.confirmDeleteVideo();
@@ -254,12 +472,30 @@ class VibraryPopup {
           case 'import':
             this.showImportModal();
             break;
+          case 'backups':
+            this.showBackupModal();
+            break;
           case 'auto-cleanup':
             this.showAutoCleanupModal();
             break;
+          case 'thumbnails':
+            this.showThumbnailModal();
+            break;
+          case 'engagement':
+            this.showEngagementModal();
+            break;
+          case 'rating-prompt':
+            this.showRatingPromptModal();
+            break;
           case 'blacklist':
             this.showBlacklistModal();
             break;
+          case 'trash':
+            this.showTrashModal();
+            break;
+          case 'maintenance':
+            this.showMaintenanceModal();
+            break;
         }
       });
     });
@@ -272,11 +508,10 @@ class VibraryPopup {
 
   // NEW: Confirm clear all
   async confirmClearAll() {
-    this.historyVideos = {};
-    await this.saveData();
+    const trashId = await LibraryApi.clearHistory();
     document.getElementById('clear-all-modal').classList.remove('active');
-    this.render();
-    this.showNotification('History cleared');
+    await this.refresh();
+    this.showUndoNotification('History cleared', trashId);
   }
 
   // NEW: Show delete video modal
@@ -301,22 +536,11 @@ class VibraryPopup {
     const videoId = modal.dataset.videoId;
 
     if (videoId) {
-      // Check if in any playlist
-      const inPlaylist = Object.values(this.playlists)
-          .some(playlist => playlist.includes(videoId));
-
-      if (inPlaylist) {
-        // Just remove from history
-        delete this.historyVideos[videoId];
-      } else {
-        // Remove from both
-        delete this.historyVideos[videoId];
-        delete this.libraryVideos[videoId];
-      }
-
-      await this.saveData();
+      // Videos in a playlist keep their library copy
+      const trashId = await LibraryApi.deleteVideo(videoId);
       modal.classList.remove('active');
-      this.render();
+      await this.refresh();
+      this.showUndoNotification('Video deleted', trashId);
     }
   }
 
@@ -332,24 +556,13 @@ class VibraryPopup {
   // NEW: Confirm delete playlist
   async confirmDeletePlaylist() {
     if (this.currentPlaylist) {
-      // Remove videos from library if not in other playlists
-      const videosToCheck = this.playlists[this.currentPlaylist] || [];
-      delete this.playlists[this.currentPlaylist];
-
-      // Check each video
-      videosToCheck.forEach(videoId => {
-        const inOtherPlaylist = Object.values(this.playlists)
-            .some(playlist => playlist.includes(videoId));
-
-        if (!inOtherPlaylist) {
-          delete this.libraryVideos[videoId];
-        }
-      });
+      // Videos not in other playlists leave the library too
+      const trashId = await LibraryApi.deletePlaylist(this.currentPlaylist);
 
       this.currentPlaylist = null;
-      await this.saveData();
       document.getElementById('delete-playlist-modal').classList.remove('active');
-      this.render();
+      await this.refresh();
+      this.showUndoNotification('Playlist deleted', trashId);
     }
   }
 
@@ -360,17 +573,9 @@ class VibraryPopup {
     const selectedRating = parseInt(modal.dataset.selectedRating || 0);
 
     if (videoId) {
-      // Update in both storages if exists
-      if (this.historyVideos[videoId]) {
-        this.historyVideos[videoId].rating = selectedRating;
-      }
-      if (this.libraryVideos[videoId]) {
-        this.libraryVideos[videoId].rating = selectedRating;
-      }
-
-      await this.saveData();
+      await LibraryApi.setRating(videoId, selectedRating);
       modal.classList.remove('active');
-      this.render();
+      await this.refresh();
     }
   }
 
@@ -384,20 +589,9 @@ class VibraryPopup {
     const selected = modal.querySelector('.playlist-option.selected');
 
     if (selected && videoId) {
-      const playlistName = selected.dataset.name;
-      const video = this.getVideo(videoId);
-
-      // Add to playlist if not already there
-      if (!this.playlists[playlistName].includes(videoId)) {
-        this.playlists[playlistName].push(videoId);
-
-        // Copy to library if not there
-        if (!this.libraryVideos[videoId] && video) {
-          this.libraryVideos[videoId] = { ...video };
-        }
-
-        await this.saveData();
-      }
+      // Copies the video to the library if it isn't there yet
+      await LibraryApi.addToPlaylist(videoId, selected.dataset.name);
+      await this.loadData();
     }
     modal.classList.remove('active');
   }
@@ -413,57 +607,61 @@ class VibraryPopup {
 
     try {
       const text = await file.text();
-      const importData = JSON.parse(text);
+      const { thumbnails, ...importData } = JSON.parse(text);
 
-      // Validate data
-      if (!importData.historyVideos && !importData.libraryVideos && !importData.videos) {
+      // Validate data - backups of every schema version have one of these
+      if (!importData.videoIndex && !importData.historyVideos && !importData.libraryVideos && !importData.videos) {
         alert('Invalid backup file');
         return;
       }
 
-      // Merge data
-      if (importData.historyVideos) {
-        Object.assign(this.historyVideos, importData.historyVideos);
-      }
-      if (importData.libraryVideos) {
-        Object.assign(this.libraryVideos, importData.libraryVideos);
-      }
-      if (importData.playlists) {
-        Object.assign(this.playlists, importData.playlists);
+      // Restore stored frames; inline thumbnails of older backups are moved by the schema migrations
+      if (thumbnails) {
+        for (const [key, dataUrl] of Object.entries(thumbnails)) {
+          const videoId = key.slice(0, key.lastIndexOf('@'));
+          const time = key.slice(key.lastIndexOf('@') + 1);
+          await ThumbnailStore.put(videoId, isNaN(time) ? time : Number(time),
+              await ThumbnailStore.dataUrlToBlob(dataUrl));
+        }
       }
+
+      // Settings replace the current ones; videos and playlists are merged by the background worker
+      const settings = {};
       if (importData.blacklist) {
-        this.blacklist = importData.blacklist;
+        settings.blacklist = importData.blacklist;
       }
       if (importData.blacklistEnabled !== undefined) {
-        this.blacklistEnabled = importData.blacklistEnabled;
+        settings.blacklistEnabled = importData.blacklistEnabled;
       }
-      if (importData.cleanupInterval) {
-        this.cleanupInterval = importData.cleanupInterval;
+      if (importData.siteRulesMode) {
+        settings.siteRulesMode = importData.siteRulesMode;
+      }
+      if (importData.engagementSettings) {
+        settings.engagementSettings = EngagementThreshold.normalize(importData.engagementSettings);
+      }
+      if (importData.ratingPromptSettings) {
+        settings.ratingPromptSettings = RatingPrompt.normalize(importData.ratingPromptSettings);
+      }
+      if (importData.cleanupPolicy) {
+        settings.cleanupPolicy = CleanupPolicy.normalize(importData.cleanupPolicy);
+      } else if (importData.cleanupInterval) {
+        settings.cleanupPolicy = CleanupPolicy.fromInterval(importData.cleanupInterval);
+      }
+      if (importData.trashRetentionDays) {
+        settings.trashRetentionDays = parseInt(importData.trashRetentionDays) || 30;
+      }
+      if (importData.thumbnailSettings) {
+        settings.thumbnailSettings = ThumbnailEncoder.normalize(importData.thumbnailSettings);
       }
 
-      // Handle old format
-      if (importData.videos && !importData.historyVideos) {
-        // Old single storage format
-        Object.assign(this.historyVideos, importData.videos);
-
-        // Add playlist videos to library
-        const playlistVideoIds = new Set();
-        Object.values(this.playlists).forEach(ids => {
-          ids.forEach(id => playlistVideoIds.add(id));
-        });
-
-        playlistVideoIds.forEach(id => {
-          if (this.historyVideos[id] && !this.libraryVideos[id]) {
-            this.libraryVideos[id] = { ...this.historyVideos[id] };
-          }
-        });
+      // Videos are brought up to the current schema by the same migrations as stored data
+      const total = await LibraryApi.importLibrary(importData, settings);
+      if (total === null) {
+        throw new Error('the library could not be updated');
       }
 
-      await this.saveData();
       document.getElementById('import-modal').classList.remove('active');
-      this.render();
-
-      const total = Object.keys(this.historyVideos).length;
+      await this.refresh();
       this.showNotification(`Imported ${total} videos`);
 
     } catch (error) {
@@ -471,13 +669,23 @@ class VibraryPopup {
     }
   }
 
+  // The policy as entered in the Auto-Cleanup modal
+  readCleanupPolicy() {
+    return CleanupPolicy.normalize({
+      maxAgeDays: document.getElementById('cleanup-max-age').value,
+      maxItems: document.getElementById('cleanup-max-items').value,
+      keepRating: document.getElementById('cleanup-keep-rating').value,
+      stripFramesDays: document.getElementById('cleanup-strip-days').value,
+      siteOverrides: CleanupPolicy.parseSiteOverrides(document.getElementById('cleanup-site-overrides').value)
+    });
+  }
+
   async saveCleanupSettings() {
-    const intervalSelect = document.getElementById('cleanup-interval');
-    this.cleanupInterval = intervalSelect.value;
-    await chrome.storage.local.set({ cleanupInterval: this.cleanupInterval });
+    this.cleanupPolicy = this.readCleanupPolicy();
+    await LibraryApi.setValues({ cleanupPolicy: this.cleanupPolicy });
 
     // Trigger immediate cleanup check
-    chrome.runtime.sendMessage({ action: 'checkCleanup' });
+    chrome.runtime.sendMessage({ action: 'runMaintenanceJob', job: 'auto-cleanup' });
 
     document.getElementById('auto-cleanup-modal').classList.remove('active');
     this.showNotification('Auto-cleanup settings saved');
@@ -487,35 +695,439 @@ class VibraryPopup {
     const textarea = document.getElementById('blacklist-textarea');
     const checkbox = document.getElementById('blacklist-checkbox');
 
+    // Regex rules are case sensitive, so lines are kept as typed
     this.blacklist = textarea.value
         .split('\n')
-        .map(domain => domain.trim().toLowerCase())
-        .filter(domain => domain.length > 0);
+        .map(line => line.trim())
+        .filter(line => line.length > 0);
 
     this.blacklistEnabled = checkbox.classList.contains('checked');
+    this.siteRulesMode = document.getElementById('site-rules-mode').value;
 
-    await chrome.storage.local.set({
+    const invalid = SiteRules.parse(this.blacklist).filter(rule => rule.error);
+    if (invalid.length > 0) {
+      this.showNotification(`Invalid rule: ${invalid[0].line}`);
+      return;
+    }
+
+    await LibraryApi.setValues({
       blacklist: this.blacklist,
-      blacklistEnabled: this.blacklistEnabled
+      blacklistEnabled: this.blacklistEnabled,
+      siteRulesMode: this.siteRulesMode
     });
 
     document.getElementById('blacklist-modal').classList.remove('active');
-    this.showNotification('Blacklist settings saved');
+    this.showNotification('Site rules saved');
   }
 
   // Auto-cleanup modal
   showAutoCleanupModal() {
     const modal = document.getElementById('auto-cleanup-modal');
-    const intervalSelect = document.getElementById('cleanup-interval');
+    const policy = this.cleanupPolicy;
+
+    // Set current values; custom numbers from imports still show in the select
+    [['cleanup-max-age', policy.maxAgeDays], ['cleanup-max-items', policy.maxItems],
+      ['cleanup-keep-rating', policy.keepRating], ['cleanup-strip-days', policy.stripFramesDays]].forEach(([id, value]) => {
+      const select = document.getElementById(id);
+      if (![...select.options].some(option => option.value === String(value))) {
+        select.add(new Option(String(value), value));
+      }
+      select.value = value;
+    });
+    document.getElementById('cleanup-site-overrides').value = CleanupPolicy.formatSiteOverrides(policy.siteOverrides);
+    document.getElementById('cleanup-preview').innerHTML = '';
+
+    modal.classList.add('active');
+  }
+
+  // Dry run: list exactly what the entered settings would remove, without saving them
+  async previewCleanup() {
+    const container = document.getElementById('cleanup-preview');
+    container.innerHTML = '<div class="cleanup-preview-summary">Checking…</div>';
+
+    const response = await chrome.runtime.sendMessage({ action: 'previewCleanup', policy: this.readCleanupPolicy() });
+    if (!response?.success) {
+      container.innerHTML = '<div class="cleanup-preview-summary">Preview failed</div>';
+      return;
+    }
+
+    const { remove, strip, storageBytes, thumbnailBytes } = response.preview;
+    if (remove.length === 0 && strip.length === 0) {
+      container.innerHTML = '<div class="cleanup-preview-summary">Nothing would be removed right now</div>';
+      return;
+    }
+
+    const mb = bytes => (bytes / 1024 / 1024).toFixed(1);
+    const items = [
+      ...remove.map(video => `
+        <li>
+          <span class="cleanup-preview-title">${this.escapeHtml(video.title || video.site || video.id)}</span>
+          <span class="cleanup-preview-reason">${this.escapeHtml(video.reason)} · ${this.getTimeAgo(video.watchedAt)}</span>
+        </li>`),
+      ...strip.map(video => `
+        <li>
+          <span class="cleanup-preview-title">${this.escapeHtml(video.title || video.id)}</span>
+          <span class="cleanup-preview-reason">Keeps its thumbnail, drops ${video.frames} preview frames</span>
+        </li>`)
+    ];
+
+    container.innerHTML = `
+      <div class="cleanup-preview-summary">
+        Would remove ${remove.length} videos and preview frames of ${strip.length},
+        freeing about ${mb(storageBytes + thumbnailBytes)} MB once the trash is emptied
+      </div>
+      <ul class="cleanup-preview-list">${items.join('')}</ul>
+    `;
+  }
 
-    // Set current value
-    intervalSelect.value = this.cleanupInterval;
+  // Thumbnail settings modal
+  async showThumbnailModal() {
+    const settings = this.thumbnailSettings;
+    document.getElementById('thumbnail-size').value = `${settings.maxWidth}x${settings.maxHeight}`;
+    document.getElementById('thumbnail-frames').value = settings.maxFrames;
+    document.getElementById('thumbnail-budget').value = settings.budgetKB;
+
+    // Only offer formats this browser can encode
+    const formatSelect = document.getElementById('thumbnail-format');
+    for (const option of formatSelect.options) {
+      option.disabled = !(await ThumbnailEncoder.isSupported(option.value));
+    }
+    formatSelect.value = settings.format;
+
+    document.getElementById('thumbnail-modal').classList.add('active');
+  }
+
+  async saveThumbnailSettings(notify = true) {
+    const [maxWidth, maxHeight] = document.getElementById('thumbnail-size').value.split('x').map(Number);
+
+    this.thumbnailSettings = ThumbnailEncoder.normalize({
+      format: document.getElementById('thumbnail-format').value,
+      maxWidth,
+      maxHeight,
+      maxFrames: parseInt(document.getElementById('thumbnail-frames').value),
+      budgetKB: parseInt(document.getElementById('thumbnail-budget').value)
+    });
+    await LibraryApi.setValues({ thumbnailSettings: this.thumbnailSettings });
+
+    document.getElementById('thumbnail-modal').classList.remove('active');
+    if (notify) this.showNotification('Thumbnail settings saved');
+  }
+
+  async reencodeThumbnails() {
+    await this.saveThumbnailSettings(false);
+    this.showNotification('Re-encoding thumbnails...');
+
+    const response = await chrome.runtime.sendMessage({ action: 'reencodeThumbnails' });
+    if (!response?.success) {
+      this.showNotification('Failed to re-encode thumbnails');
+      return;
+    }
+
+    // Drop cached images so cards show the new versions
+    this.thumbnailUrls.forEach(promise => promise.then(url => url && URL.revokeObjectURL(url)));
+    this.thumbnailUrls.clear();
+    this.render();
+
+    const mb = bytes => (bytes / 1024 / 1024).toFixed(1);
+    this.showNotification(`Re-encoded ${response.count} thumbnails (${mb(response.bytesBefore)} MB → ${mb(response.bytesAfter)} MB)`);
+  }
+
+  // Watch threshold modal
+  showEngagementModal() {
+    const settings = this.engagementSettings;
+    document.getElementById('engagement-seconds').value = settings.minSeconds;
+    document.getElementById('engagement-percent').value = settings.minPercent;
+    document.getElementById('engagement-unmuted-checkbox').classList.toggle('checked', settings.requireUnmuted);
+    document.getElementById('engagement-user-checkbox').classList.toggle('checked', settings.requireUserPlay);
+
+    document.getElementById('engagement-modal').classList.add('active');
+  }
+
+  async saveEngagementSettings() {
+    this.engagementSettings = EngagementThreshold.normalize({
+      minSeconds: parseInt(document.getElementById('engagement-seconds').value),
+      minPercent: parseInt(document.getElementById('engagement-percent').value),
+      requireUnmuted: document.getElementById('engagement-unmuted-checkbox').classList.contains('checked'),
+      requireUserPlay: document.getElementById('engagement-user-checkbox').classList.contains('checked')
+    });
+    await LibraryApi.setValues({ engagementSettings: this.engagementSettings });
+
+    document.getElementById('engagement-modal').classList.remove('active');
+    this.showNotification('Watch threshold saved');
+  }
+
+  showRatingPromptModal() {
+    const settings = this.ratingPromptSettings;
+    document.getElementById('rating-prompt-checkbox').classList.toggle('checked', settings.enabled);
+    document.getElementById('rating-prompt-seconds').value = settings.minWatchSeconds;
+    document.getElementById('rating-prompt-sites').value = settings.disabledSites.join('\n');
+
+    document.getElementById('rating-prompt-modal').classList.add('active');
+  }
 
+  async saveRatingPromptSettings() {
+    this.ratingPromptSettings = RatingPrompt.normalize({
+      enabled: document.getElementById('rating-prompt-checkbox').classList.contains('checked'),
+      minWatchSeconds: parseInt(document.getElementById('rating-prompt-seconds').value),
+      disabledSites: document.getElementById('rating-prompt-sites').value.split('\n')
+          .map(site => site.trim().replace(/^[a-z]+:\/\//i, '').replace(/^www\./i, '').split('/')[0])
+    });
+    await LibraryApi.setValues({ ratingPromptSettings: this.ratingPromptSettings });
+
+    document.getElementById('rating-prompt-modal').classList.remove('active');
+    this.showNotification('Rating prompt settings saved');
+  }
+
+  // Backups modal
+  async showBackupModal() {
+    const settings = this.backupSettings;
+    document.getElementById('backup-frequency').value = settings.frequency;
+    document.getElementById('backup-keep').value = settings.keep;
+    document.getElementById('backup-download-checkbox').classList.toggle('checked', settings.download);
+    document.getElementById('backup-folder').value = settings.folder;
+
+    document.getElementById('backup-modal').classList.add('active');
+    await this.renderSnapshots();
+  }
+
+  async renderSnapshots() {
+    const container = document.getElementById('backup-list');
+    const snapshots = await BackupStore.list();
+
+    if (snapshots.length === 0) {
+      container.innerHTML = '<div class="backup-empty">No snapshots yet</div>';
+      return;
+    }
+
+    container.innerHTML = snapshots.map(snapshot => `
+      <div class="backup-item">
+        <div class="backup-item-info">
+          <div class="backup-item-label">${this.escapeHtml(this.formatDateTime(new Date(snapshot.createdAt).toISOString()))}</div>
+          <div class="backup-item-meta">${snapshot.videoCount} videos · ${snapshot.playlistCount} playlists</div>
+        </div>
+        <div class="backup-item-actions">
+          <button class="btn-secondary backup-restore-btn" data-snapshot-id="${this.escapeHtml(snapshot.id)}">Restore</button>
+          <button class="btn-danger backup-delete-btn" data-snapshot-id="${this.escapeHtml(snapshot.id)}">Delete</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  async saveBackupSettings() {
+    this.backupSettings = BackupStore.normalize({
+      frequency: document.getElementById('backup-frequency').value,
+      keep: document.getElementById('backup-keep').value,
+      download: document.getElementById('backup-download-checkbox').classList.contains('checked'),
+      folder: document.getElementById('backup-folder').value
+    });
+    await LibraryApi.setValues({ backupSettings: this.backupSettings });
+
+    // Takes the first snapshot right away if one is due
+    chrome.runtime.sendMessage({ action: 'runMaintenanceJob', job: 'backup' });
+
+    document.getElementById('backup-modal').classList.remove('active');
+    this.showNotification('Backup settings saved');
+  }
+
+  async createSnapshot() {
+    this.showNotification('Backing up...');
+    const response = await chrome.runtime.sendMessage({ action: 'createSnapshot' });
+    if (!response?.success) {
+      this.showNotification('Backup failed', 'error');
+      return;
+    }
+
+    await this.renderSnapshots();
+    this.showNotification(`Saved a snapshot of ${response.snapshot.videoCount} videos`);
+  }
+
+  async deleteSnapshot(id) {
+    await chrome.runtime.sendMessage({ action: 'deleteSnapshot', id });
+    await this.renderSnapshots();
+  }
+
+  // Counts and dates of the snapshot before anything changes
+  async showRestoreSnapshotModal(id) {
+    const snapshot = (await BackupStore.list()).find(s => s.id === id);
+    if (!snapshot) return;
+
+    const date = timestamp => timestamp ? this.formatDate(new Date(timestamp).toISOString()) : '—';
+    document.getElementById('restore-snapshot-message').textContent =
+        `Snapshot taken ${this.formatDateTime(new Date(snapshot.createdAt).toISOString())}` +
+        (snapshot.version ? ` by VIBRARY ${snapshot.version}` : '');
+    document.getElementById('restore-snapshot-details').innerHTML = [
+      `${snapshot.videoCount} videos, ${snapshot.historyCount} in history`,
+      `${snapshot.playlistCount} playlists`,
+      `Watched ${date(snapshot.oldestWatchedAt)} to ${date(snapshot.newestWatchedAt)}`
+    ].map(line => `<li>${this.escapeHtml(line)}</li>`).join('');
+
+    const modal = document.getElementById('restore-snapshot-modal');
+    modal.dataset.snapshotId = id;
     modal.classList.add('active');
   }
 
+  async confirmRestoreSnapshot() {
+    const modal = document.getElementById('restore-snapshot-modal');
+    const response = await chrome.runtime.sendMessage({ action: 'restoreSnapshot', id: modal.dataset.snapshotId });
+    modal.classList.remove('active');
+
+    if (!response?.success) {
+      this.showNotification(`Restore failed: ${response?.error || 'unknown error'}`, 'error');
+      return;
+    }
+
+    document.getElementById('backup-modal').classList.remove('active');
+    await this.refresh();
+    this.showNotification(`Restored - ${response.total} videos in history`);
+  }
+
+  // Trash modal
+  async showTrashModal() {
+    document.getElementById('trash-retention').value = this.trashRetentionDays;
+    document.getElementById('trash-modal').classList.add('active');
+    await this.renderTrash();
+  }
+
+  async renderTrash() {
+    const container = document.getElementById('trash-list');
+    const entries = await LibraryApi.getTrash() || [];
+    document.getElementById('trash-empty-btn').disabled = entries.length === 0;
+
+    if (entries.length === 0) {
+      container.innerHTML = '<div class="trash-empty">The trash is empty</div>';
+      return;
+    }
+
+    container.innerHTML = entries.map(entry => {
+      const counts = [
+        entry.videoCount ? `${entry.videoCount} video${entry.videoCount === 1 ? '' : 's'}` : '',
+        entry.playlists.length ? `${entry.playlists.length} playlist${entry.playlists.length === 1 ? '' : 's'}` : ''
+      ].filter(Boolean).join(', ');
+
+      return `
+        <div class="trash-item">
+          <div class="trash-item-info">
+            <div class="trash-item-label">${this.escapeHtml(entry.label)}</div>
+            <div class="trash-item-meta">${counts} · ${this.getTimeAgo(entry.deletedAt)}</div>
+            ${entry.titles.length ? `<div class="trash-item-titles">${this.escapeHtml(entry.titles.join(', '))}</div>` : ''}
+          </div>
+          <div class="trash-item-actions">
+            <button class="btn-secondary trash-restore-btn" data-trash-id="${this.escapeHtml(entry.id)}">Restore</button>
+            <button class="btn-danger trash-purge-btn" data-trash-id="${this.escapeHtml(entry.id)}">Delete</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  async restoreTrash(trashId) {
+    const restored = await LibraryApi.restoreTrash(trashId);
+    if (restored === null || restored === false) {
+      this.showNotification('Nothing to restore', 'error');
+      return;
+    }
+
+    await this.refresh();
+    if (document.getElementById('trash-modal').classList.contains('active')) {
+      await this.renderTrash();
+    }
+    this.showNotification(restored ? `Restored ${restored} video${restored === 1 ? '' : 's'}` : 'Restored');
+  }
+
+  // Without IDs the whole trash goes; frames only trashed videos used are pruned afterwards
+  async purgeTrash(trashIds) {
+    const purged = await LibraryApi.purgeTrash(trashIds);
+    this.pruneThumbnails();
+    await this.renderTrash();
+    if (purged) this.showNotification(trashIds ? 'Deleted for good' : 'Trash emptied');
+  }
+
+  // Background jobs with their last and next run
+  async showMaintenanceModal() {
+    document.getElementById('maintenance-modal').classList.add('active');
+    await this.renderMaintenanceJobs();
+  }
+
+  async renderMaintenanceJobs() {
+    const container = document.getElementById('maintenance-jobs');
+    const response = await chrome.runtime.sendMessage({ action: 'getMaintenanceStatus' });
+    if (!response?.success) {
+      container.innerHTML = '<div class="maintenance-job">Status unavailable</div>';
+      return;
+    }
+
+    container.innerHTML = response.jobs.map(job => {
+      const lastRun = job.lastRunAt ? this.getTimeAgo(job.lastRunAt) : 'Never';
+      const nextRun = job.running ? 'Running…' : job.nextRunAt ? this.getTimeUntil(job.nextRunAt) : 'Not scheduled';
+      const outcome = job.outcome ?
+          `<div class="maintenance-outcome ${job.outcome}">${job.outcome === 'ok' ? '✓' : '✗'} ${this.escapeHtml(job.message || '')}</div>` : '';
+
+      return `
+        <div class="maintenance-job">
+          <div class="maintenance-job-header">
+            <span class="maintenance-job-label">${this.escapeHtml(job.label)}</span>
+            <button class="btn-secondary maintenance-run-btn" data-job="${this.escapeHtml(job.name)}" ${job.running ? 'disabled' : ''}>Run now</button>
+          </div>
+          <div class="maintenance-job-times">Last run: ${lastRun} · Next: ${nextRun}</div>
+          ${outcome}
+        </div>
+      `;
+    }).join('');
+  }
+
+  async runMaintenanceJob(name) {
+    const run = chrome.runtime.sendMessage({ action: 'runMaintenanceJob', job: name });
+    await this.renderMaintenanceJobs();
+
+    const response = await run;
+    await this.renderMaintenanceJobs();
+    if (!response?.success) {
+      this.showNotification('Failed to run job');
+    } else if (response.status.outcome === 'ok') {
+      // Jobs may have removed videos
+      this.refresh();
+    }
+  }
+
+  isPaused() {
+    const pause = this.trackingPause;
+    return !!pause && (!pause.until || pause.until > Date.now());
+  }
+
+  // The background owns the pause so it can set the badge and schedule the resume
+  async setTrackingPause(mode) {
+    const response = await chrome.runtime.sendMessage({ action: 'setTrackingPause', mode });
+    document.getElementById('pause-modal').classList.remove('active');
+
+    if (!response?.success) {
+      this.showNotification('Failed to change tracking');
+      return;
+    }
+
+    this.trackingPause = response.pause;
+    this.renderPauseState();
+    this.showNotification(mode ? 'Tracking paused' : 'Tracking resumed');
+  }
+
+  renderPauseState() {
+    const paused = this.isPaused();
+    const button = document.getElementById('pause-btn');
+    button.textContent = paused ? '▶' : '⏸';
+    button.title = paused ? 'Resume tracking (Alt+Shift+P)' : 'Pause tracking (Alt+Shift+P)';
+    button.classList.toggle('paused', paused);
+
+    document.getElementById('pause-banner').classList.toggle('active', paused);
+    if (paused) {
+      const pause = this.trackingPause;
+      document.getElementById('pause-banner-text').textContent =
+          pause.mode === '1h' ? `Tracking paused until ${new Date(pause.until).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}` :
+          pause.mode === 'session' ? 'Tracking paused until the browser restarts' :
+          'Tracking paused';
+    }
+  }
+
   // Blacklist modal
-  showBlacklistModal() {
+  async showBlacklistModal() {
     const modal = document.getElementById('blacklist-modal');
     const textarea = document.getElementById('blacklist-textarea');
     const checkbox = document.getElementById('blacklist-checkbox');
@@ -523,11 +1135,57 @@ class VibraryPopup {
     // Set current values
     textarea.value = this.blacklist.join('\n');
     checkbox.classList.toggle('checked', this.blacklistEnabled);
+    document.getElementById('site-rules-mode').value = this.siteRulesMode;
+
+    // Test against the current tab by default
+    const testInput = document.getElementById('site-rules-test-input');
+    if (!testInput.value) {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      testInput.value = /^https?:/.test(tab?.url || '') ? tab.url : '';
+    }
+    this.testSiteRules();
 
     modal.classList.add('active');
   }
 
+  // Show what the rules being edited would do with the test URL
+  testSiteRules() {
+    const result = document.getElementById('site-rules-test-result');
+    const url = document.getElementById('site-rules-test-input').value.trim();
+    const rules = SiteRules.parse(document.getElementById('blacklist-textarea').value.split('\n'));
+    const mode = document.getElementById('site-rules-mode').value;
+
+    const invalid = rules.find(rule => rule.error);
+    if (invalid) {
+      result.textContent = `⚠️ Invalid rule "${invalid.line}": ${invalid.error}`;
+      result.className = 'site-rules-test-result ignore';
+      return;
+    }
+
+    if (!url) {
+      result.textContent = '';
+      return;
+    }
+
+    const decision = SiteRules.evaluate(url, rules, mode);
+    const labels = {
+      ignore: '🚫 Ignored',
+      track: '✅ Tracked',
+      'no-thumbnails': '✅ Tracked without thumbnails'
+    };
+    result.textContent = [
+      labels[decision.action],
+      decision.playlist ? `→ playlist "${decision.playlist}"` : '',
+      decision.rule ? `(rule: ${decision.rule.line})` : '(no rule matches)'
+    ].filter(Boolean).join(' ');
+    result.className = `site-rules-test-result ${decision.action === 'ignore' ? 'ignore' : 'track'}`;
+  }
+
+  // Lists are drawn from background queries; a render that finishes after a newer one started is dropped
   render() {
+    this.renderPauseState();
+    const renderId = ++this.renderId;
+
     // Hide all tabs
     document.querySelectorAll('.tab-content').forEach(el => {
       el.classList.remove('active');
@@ -535,29 +1193,69 @@ class VibraryPopup {
 
     if (this.currentTab === 'history') {
       document.getElementById('history').classList.add('active');
-      this.renderHistory();
+      return this.renderHistory(renderId);
     } else if (this.currentTab === 'library') {
       if (this.currentPlaylist) {
         document.getElementById('playlist-view').classList.add('active');
-        this.renderPlaylist();
+        return this.renderPlaylist(renderId);
       } else {
         document.getElementById('library').classList.add('active');
-        this.renderLibrary();
+        return this.renderLibrary(renderId);
       }
     }
   }
 
+  resetPaging() {
+    this.shownCount = this.pageSize;
+  }
+
+  // Keep the loaded videos for the modals and actions of the rendered cards
+  rememberVideos(videos) {
+    this.videos = Object.fromEntries(videos.map(video => [video.id, video]));
+  }
+
+  // Button at the end of a list that loads the next page
+  createLoadMore(shown, total) {
+    if (shown >= total) return '';
+    return `<button class="btn-secondary load-more">Show more (${total - shown} left)</button>`;
+  }
+
+  attachLoadMore(container) {
+    container.querySelector('.load-more')?.addEventListener('click', () => {
+      this.shownCount += this.pageSize;
+      this.render();
+    });
+  }
+
   // Export functionality
   async exportData() {
+    // The library exactly as stored, stamped with its schema version so imports can migrate it
+    const { library, videoCount, thumbnailRefs } = await LibraryApi.exportLibrary() || {};
+    if (!library) {
+      this.showNotification('Export failed', 'error');
+      return;
+    }
+
+    // Stored frames go into the backup as data URLs keyed by their reference, read one at a time
+    const thumbnails = {};
+    for (const ref of new Set(thumbnailRefs)) {
+      const blob = await ThumbnailStore.get(ref);
+      if (blob) thumbnails[ref] = await ThumbnailStore.blobToDataUrl(blob);
+    }
+
     const exportData = {
-      historyVideos: this.historyVideos,
-      libraryVideos: this.libraryVideos,
-      playlists: this.playlists,
+      ...library,
       blacklist: this.blacklist,
       blacklistEnabled: this.blacklistEnabled,
-      cleanupInterval: this.cleanupInterval,
+      siteRulesMode: this.siteRulesMode,
+      engagementSettings: this.engagementSettings,
+      ratingPromptSettings: this.ratingPromptSettings,
+      cleanupPolicy: this.cleanupPolicy,
+      trashRetentionDays: this.trashRetentionDays,
+      thumbnailSettings: this.thumbnailSettings,
+      thumbnails,
       exportDate: new Date().toISOString(),
-      version: '3.0'
+      version: chrome.runtime.getManifest().version
     };
 
     const dataStr = JSON.stringify(exportData, null, 2);
@@ -569,8 +1267,7 @@ class VibraryPopup {
     a.click();
     URL.revokeObjectURL(url);
 
-    const totalVideos = Object.keys(this.historyVideos).length + Object.keys(this.libraryVideos).length;
-    this.showNotification(`Exported ${totalVideos} videos`);
+    this.showNotification(`Exported ${videoCount} videos`);
   }
 
   // Import functionality
@@ -617,34 +1314,49 @@ class VibraryPopup {
     }, 2000);
   }
 
-  renderHistory() {
-    const container = document.getElementById('history-list');
-    const search = document.getElementById('search-input')?.value.toLowerCase() || '';
-    const ratingFilter = document.getElementById('rating-filter')?.value || 'all';
-    const sortBy = document.getElementById('sort-by')?.value || 'date';
-
-    // Get videos from history only
-    let videos = Object.entries(this.historyVideos).map(([id, v]) => ({ ...v, id }));
-
-    // Filter
-    if (search) {
-      videos = videos.filter(v =>
-          v.title.toLowerCase().includes(search) ||
-          v.website.toLowerCase().includes(search)
-      );
+  // Removed items wait in the trash; the notification offers to put them back
+  showUndoNotification(message, trashId) {
+    if (!trashId) {
+      this.showNotification(message);
+      return;
     }
 
-    if (ratingFilter !== 'all') {
-      const rating = parseInt(ratingFilter);
-      videos = videos.filter(v => v.rating === rating);
-    }
+    document.querySelectorAll('.vibrary-notification').forEach(n => n.remove());
 
-    // Sort
-    if (sortBy === 'date') {
-      videos.sort((a, b) => b.watchedAt - a.watchedAt);
-    } else {
-      videos.sort((a, b) => (b.rating || 0) - (a.rating || 0));
-    }
+    const notification = document.createElement('div');
+    notification.className = 'vibrary-notification undo-notification';
+    notification.innerHTML = '<span></span><button class="undo-btn">Undo</button>';
+    notification.querySelector('span').textContent = message;
+    notification.querySelector('.undo-btn').addEventListener('click', () => {
+      notification.remove();
+      this.restoreTrash(trashId);
+    });
+
+    document.body.appendChild(notification);
+
+    setTimeout(() => {
+      notification.style.opacity = '0';
+      notification.style.transform = 'translateX(-50%) translateY(-10px)';
+      setTimeout(() => notification.remove(), 300);
+    }, 6000);
+  }
+
+  async renderHistory(renderId) {
+    const container = document.getElementById('history-list');
+
+    // Filtering, sorting and paging happen in the background worker
+    const result = await LibraryApi.queryVideos({
+      search: document.getElementById('search-input')?.value || '',
+      rating: document.getElementById('rating-filter')?.value || 'all',
+      progress: document.getElementById('progress-filter')?.value || 'all',
+      mediaType: document.getElementById('media-filter')?.value || 'all',
+      sort: document.getElementById('sort-by')?.value || 'date',
+      limit: this.shownCount
+    });
+    if (renderId !== this.renderId) return;
+
+    const videos = result?.videos || [];
+    this.rememberVideos(videos);
 
     // Render
     if (videos.length === 0) {
@@ -657,13 +1369,15 @@ class VibraryPopup {
       return;
     }
 
-    container.innerHTML = videos.map(video => this.createVideoCard(video)).join('');
+    container.innerHTML = videos.map(video => this.createVideoCard(video)).join('') +
+        this.createLoadMore(videos.length, result.total);
 
     // Add event listeners
     this.attachVideoEvents(container);
+    this.attachLoadMore(container);
   }
 
-  renderLibrary() {
+  async renderLibrary(renderId) {
     const container = document.getElementById('playlist-list');
     const playlists = Object.entries(this.playlists);
 
@@ -677,18 +1391,18 @@ class VibraryPopup {
       return;
     }
 
-    container.innerHTML = playlists.map(([name, videoIds]) => {
-      // Get first video for thumbnail
-      const firstVideo = videoIds
-          .map(id => this.libraryVideos[id])
-          .find(v => v);
+    // Only the first video of each playlist is loaded, for its thumbnail
+    const covers = await LibraryApi.getVideos(playlists.map(([, videoIds]) => videoIds[0]).filter(Boolean)) || [];
+    if (renderId !== this.renderId) return;
+    const coverById = Object.fromEntries(covers.map(video => [video.id, video]));
 
-      const thumbnail = firstVideo?.thumbnail || '';
+    container.innerHTML = playlists.map(([name, videoIds]) => {
+      const firstVideo = coverById[videoIds[0]];
 
       return `
         <div class="playlist-item" data-name="${this.escapeHtml(name)}">
           <div class="playlist-thumbnail">
-            ${thumbnail ? `<img src="${thumbnail}" onerror="this.style.display='none'">` : '📁'}
+            ${firstVideo ? this.renderThumbnailImage(firstVideo, "this.style.display='none'") || '📁' : '📁'}
           </div>
           <div class="playlist-info">
             <div class="playlist-name">${this.escapeHtml(name)}</div>
@@ -697,16 +1411,19 @@ class VibraryPopup {
       `;
     }).join('');
 
+    this.loadThumbnails(container);
+
     // Click handlers
     container.querySelectorAll('.playlist-item').forEach(item => {
       item.addEventListener('click', () => {
         this.currentPlaylist = item.dataset.name;
+        this.resetPaging();
         this.render();
       });
     });
   }
 
-  renderPlaylist() {
+  async renderPlaylist(renderId) {
     // Back button
     document.getElementById('back-btn')?.addEventListener('click', () => {
       this.currentPlaylist = null;
@@ -727,12 +1444,12 @@ class VibraryPopup {
       this.showEditPlaylistModal(this.currentPlaylist);
     }, { once: true });
 
-    // Get videos from library
-    const videoIds = this.playlists[this.currentPlaylist] || [];
-    const videos = videoIds
-        .map(id => this.libraryVideos[id])
-        .filter(v => v)
-        .map(v => ({ ...v })); // Clone to avoid modifying library
+    // Playlist videos in playlist order, a page at a time
+    const result = await LibraryApi.queryVideos({ playlist: this.currentPlaylist, limit: this.shownCount });
+    if (renderId !== this.renderId) return;
+
+    const videos = result?.videos || [];
+    this.rememberVideos(videos);
 
     const container = document.getElementById('playlist-videos');
 
@@ -748,9 +1465,10 @@ class VibraryPopup {
 
     container.innerHTML = videos.map(video =>
         this.createVideoCard(video, { showRemove: true })
-    ).join('');
+    ).join('') + this.createLoadMore(videos.length, result.total);
 
     this.attachVideoEvents(container);
+    this.attachLoadMore(container);
   }
 
   createVideoCard(video, options = {}) {
@@ -764,26 +1482,43 @@ class VibraryPopup {
     }
     const starRating = stars.join('');
 
+    // Playback progress
+    const progress = video.duration > 0 ? Math.min(1, (video.lastPosition || 0) / video.duration) : 0;
+    const canResume = video.lastPosition >= 10 && video.lastPosition < video.duration - 10;
+    const completion = this.getCompletion(video);
+    const hasPreview = video.thumbnailCollection?.length > 1;
+    const creator = video.creator || video.artist;
+    // Live entries of the same channel are told apart by when the broadcast started
+    const published = video.live ? this.formatDateTime(video.liveStartedAt) : this.formatDate(video.publishedAt);
+
     // Button order: interactive stars, add to playlist, edit, delete
     return `
       <div class="video-item" data-id="${video.id}">
-        <div class="video-header" data-url="${this.escapeHtml(video.url)}">
-          <div class="video-thumbnail ${video.thumbnailCollection ? 'has-preview' : ''}">
-            ${video.thumbnail ?
-        `<img src="${video.thumbnail}" onerror="this.parentElement.classList.add('no-image'); this.style.display='none'">` :
-        ''
-    }
-            ${video.thumbnailCollection ? '<div class="preview-indicator">▶</div>' : ''}
+        <div class="video-header" data-url="${this.escapeHtml(this.getOpenUrl(video))}">
+          <div class="video-thumbnail ${hasPreview ? 'has-preview' : ''} ${video.mediaType === 'audio' ? 'audio' : ''}">
+            ${this.renderThumbnailImage(video, "this.parentElement.classList.add('no-image'); this.style.display='none'")}
+            ${hasPreview ? '<div class="preview-indicator">▶</div>' : ''}
+            ${video.mediaType === 'audio' ? '<div class="media-badge" title="Audio">🎧</div>' : ''}
+            ${video.live ? '<div class="duration-badge live-badge">LIVE</div>' : ''}
+            ${video.duration > 0 && !video.live ? `<div class="duration-badge">${this.formatTime(video.duration)}</div>` : ''}
+            ${progress > 0 ? `<div class="progress-bar"><div class="progress-fill" style="width: ${(progress * 100).toFixed(1)}%"></div></div>` : ''}
           </div>
           <div class="video-info">
-            <div class="video-title">${this.escapeHtml(video.title)}</div>
+            <div class="video-title" ${video.description ? `title="${this.escapeAttribute(video.description)}"` : ''}>${this.escapeHtml(video.title)}</div>
+            ${creator || published ? `<div class="video-creator">${this.escapeHtml([creator, published].filter(Boolean).join(' · '))}</div>` : ''}
             <div class="video-meta">
               ${video.favicon ? `<img src="${video.favicon}" class="site-favicon" onerror="this.style.display='none'">` : ''}
               <span class="video-website">${this.escapeHtml(video.website)}</span>
               <span class="video-date">${timeAgo}</span>
+              ${video.hostUrl ? `<span class="video-host" title="Embedded on: ${this.escapeAttribute(video.hostTitle || video.hostUrl)}">on ${this.escapeHtml(video.hostWebsite)}</span>` : ''}
+              ${completion !== null ? `<span class="video-completion" title="${this.formatTime(video.watchTime || 0)} watched in total">Watched ${Math.round(completion * 100)}%</span>` : ''}
+              ${video.live && video.watchTime ? `<span class="video-completion" title="Broadcast started ${this.escapeHtml(this.formatDateTime(video.liveStartedAt))}">Watched ${this.formatTime(video.watchTime)} live</span>` : ''}
             </div>
+            ${canResume ? `<button class="resume-btn" title="Continue where you left off">▶ Resume at ${this.formatTime(video.lastPosition)}</button>` : ''}
           </div>
         </div>
+        ${completion !== null ? this.createCoverageStrip(video) : ''}
+        ${video.bookmarks?.length ? this.createBookmarkList(video) : ''}
         <div class="video-actions">
           <div class="star-rating-interactive" data-video-id="${video.id}">
             ${starRating}
@@ -799,7 +1534,64 @@ class VibraryPopup {
     `;
   }
 
+  // Fraction of the video covered by watched segments, or null if unknown
+  // Worked out by the background worker when the video is loaded
+  getCompletion(video) {
+    return video.completion ?? null;
+  }
+
+  // Publish dates are stored as ISO strings
+  formatDate(isoDate) {
+    if (!isoDate) return '';
+    const date = new Date(isoDate);
+    return isNaN(date) ? '' : date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+  }
+
+  formatDateTime(isoDate) {
+    if (!isoDate) return '';
+    const date = new Date(isoDate);
+    return isNaN(date) ? '' : date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  createCoverageStrip(video) {
+    const segments = video.watchedSegments.map(([start, end]) => {
+      const left = (start / video.duration * 100).toFixed(2);
+      const width = ((end - start) / video.duration * 100).toFixed(2);
+      return `<div class="coverage-segment" style="left: ${left}%; width: ${width}%"></div>`;
+    }).join('');
+
+    return `<div class="coverage-strip" title="Watched parts of the video">${segments}</div>`;
+  }
+
+  createBookmarkList(video) {
+    const items = video.bookmarks.map(bookmark => `
+      <div class="bookmark-item" data-bookmark-id="${this.escapeHtml(bookmark.id)}" title="Open at ${this.formatTime(bookmark.time)}">
+        <div class="bookmark-frame">
+          ${bookmark.frame ? `<img data-thumb-ref="${this.escapeHtml(bookmark.frame)}">` : ''}
+        </div>
+        <span class="bookmark-time">${this.formatTime(bookmark.time)}</span>
+        <span class="bookmark-note">${this.escapeHtml(bookmark.note || '')}</span>
+        <button class="bookmark-delete" title="Delete bookmark">×</button>
+      </div>
+    `).join('');
+
+    return `<div class="bookmark-list">${items}</div>`;
+  }
+
+  // Stored thumbnails are loaded lazily by loadThumbnails; older entries still carry a data URL
+  renderThumbnailImage(video, onError) {
+    if (video.thumbnailRef) {
+      return `<img data-thumb-ref="${this.escapeHtml(video.thumbnailRef)}" onerror="${onError}">`;
+    }
+    if (video.thumbnail) {
+      return `<img src="${video.thumbnail}" onerror="${onError}">`;
+    }
+    return '';
+  }
+
   attachVideoEvents(container) {
+    this.loadThumbnails(container);
+
     // Click to open
     container.querySelectorAll('.video-header').forEach(header => {
       header.addEventListener('click', (e) => {
@@ -821,6 +1613,33 @@ class VibraryPopup {
       });
     });
 
+    // Resume from last position
+    container.querySelectorAll('.resume-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const videoId = e.target.closest('.video-item').dataset.id;
+        this.resumeVideo(videoId);
+      });
+    });
+
+    // Open a bookmark at its time
+    container.querySelectorAll('.bookmark-item').forEach(item => {
+      item.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const videoId = item.closest('.video-item').dataset.id;
+        const bookmark = this.getVideo(videoId)?.bookmarks?.find(entry => entry.id === item.dataset.bookmarkId);
+        if (bookmark) this.resumeVideo(videoId, bookmark.time);
+      });
+    });
+
+    container.querySelectorAll('.bookmark-delete').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const videoId = btn.closest('.video-item').dataset.id;
+        this.deleteBookmark(videoId, btn.closest('.bookmark-item').dataset.bookmarkId);
+      });
+    });
+
     // Interactive star rating
     container.querySelectorAll('.star-rating-interactive').forEach(ratingContainer => {
       const stars = ratingContainer.querySelectorAll('.star-interactive');
@@ -845,18 +1664,8 @@ class VibraryPopup {
       stars.forEach((star, index) => {
         star.addEventListener('click', async (e) => {
           e.stopPropagation();
-          const rating = index + 1;
-
-          // Update in both storages if exists
-          if (this.historyVideos[videoId]) {
-            this.historyVideos[videoId].rating = rating;
-          }
-          if (this.libraryVideos[videoId]) {
-            this.libraryVideos[videoId].rating = rating;
-          }
-
-          await this.saveData();
-          this.render();
+          await LibraryApi.setRating(videoId, index + 1);
+          await this.refresh();
         });
       });
     });
@@ -894,22 +1703,10 @@ class VibraryPopup {
         e.stopPropagation();
         const videoId = e.target.closest('.video-item').dataset.id;
 
-        // Remove from current playlist
-        this.playlists[this.currentPlaylist] =
-            this.playlists[this.currentPlaylist].filter(id => id !== videoId);
-
-        // Check if in other playlists
-        const inOtherPlaylist = Object.entries(this.playlists)
-            .filter(([name]) => name !== this.currentPlaylist)
-            .some(([_, ids]) => ids.includes(videoId));
-
-        if (!inOtherPlaylist) {
-          // Remove from library too
-          delete this.libraryVideos[videoId];
-        }
-
-        await this.saveData();
-        this.render();
+        // Removed from the library too unless another playlist has it
+        const trashId = await LibraryApi.removeFromPlaylist(videoId, this.currentPlaylist);
+        await this.refresh();
+        this.showUndoNotification('Removed from playlist', trashId);
       });
     });
 
@@ -926,10 +1723,11 @@ class VibraryPopup {
 
       let interval;
       let index = 0;
-      const original = img.src;
+      let original = img.src;
 
       item.addEventListener('mouseenter', () => {
         index = 0;
+        original = img.src;
         thumb.classList.add('previewing');
 
         // Create time indicator
@@ -939,9 +1737,13 @@ class VibraryPopup {
 
         interval = setInterval(() => {
           const frame = video.thumbnailCollection[index];
-          if (frame?.thumbnail) {
-            img.src = frame.thumbnail;
-            timeEl.textContent = this.formatTime(frame.time);
+          if (frame) {
+            this.getFrameUrl(frame).then(url => {
+              if (url && thumb.classList.contains('previewing')) {
+                img.src = url;
+                timeEl.textContent = this.formatTime(frame.time);
+              }
+            });
           }
           index = (index + 1) % video.thumbnailCollection.length;
         }, 300);
@@ -956,6 +1758,79 @@ class VibraryPopup {
     });
   }
 
+  async saveCurrentVideo() {
+    const response = await chrome.runtime.sendMessage({ action: 'saveCurrentVideo' });
+    if (response?.success) {
+      await this.refresh();
+      const video = this.getVideo(response.videoId) || await LibraryApi.getVideo(response.videoId);
+      this.showNotification(`Saved: ${video?.title || 'video'}`);
+    } else {
+      this.showNotification(response?.error || 'No video found on this page');
+    }
+  }
+
+  // Open a video at its last position, or at the given time (bookmarks)
+  async resumeVideo(videoId, at) {
+    const video = this.getVideo(videoId);
+    if (!video) return;
+
+    const time = Math.floor(at ?? video.lastPosition ?? 0);
+    const openUrl = this.getOpenUrl(video);
+    const resumeUrl = openUrl === video.url ? this.buildResumeUrl(video.url, time) : null;
+
+    if (!resumeUrl) {
+      // No timestamp parameter (or opening the embedding page) - let the content script seek instead
+      await LibraryApi.setValues({
+        pendingResume: { url: video.url, time, createdAt: Date.now() }
+      });
+    }
+
+    window.open(resumeUrl || openUrl, '_blank');
+  }
+
+  async deleteBookmark(videoId, bookmarkId) {
+    await LibraryApi.deleteBookmark(videoId, bookmarkId);
+    this.pruneThumbnails();
+    await this.refresh();
+  }
+
+  // Embedded videos open either the video itself or the page they were watched on
+  getOpenUrl(video) {
+    return video.openTarget === 'host' && video.hostUrl ? video.hostUrl : video.url;
+  }
+
+  buildResumeUrl(url, seconds) {
+    try {
+      const urlObj = new URL(url);
+      const hostname = urlObj.hostname.replace(/^(www|m)\./, '');
+
+      if (hostname === 'youtube.com' || hostname === 'youtu.be') {
+        urlObj.searchParams.set('t', `${seconds}s`);
+        return urlObj.href;
+      }
+
+      if (hostname === 'vimeo.com') {
+        urlObj.hash = `t=${seconds}s`;
+        return urlObj.href;
+      }
+
+      if (hostname === 'twitch.tv' && urlObj.pathname.startsWith('/videos/')) {
+        const h = Math.floor(seconds / 3600);
+        const m = Math.floor((seconds % 3600) / 60);
+        const s = seconds % 60;
+        urlObj.searchParams.set('t', `${h}h${m}m${s}s`);
+        return urlObj.href;
+      }
+
+      if (hostname === 'dailymotion.com') {
+        urlObj.searchParams.set('start', seconds);
+        return urlObj.href;
+      }
+    } catch (e) {}
+
+    return null;
+  }
+
   editVideoDetails(videoId) {
     const video = this.getVideo(videoId);
     if (!video) return;
@@ -964,6 +1839,15 @@ class VibraryPopup {
     const currentTitle = video.title;
     const currentUrl = video.url;
 
+    // Read-only details found on the page
+    const details = [];
+    if (video.duration > 0) details.push(`Duration ${this.formatTime(video.duration)}`);
+    if (video.publishedAt) details.push(`Published ${this.escapeHtml(this.formatDate(video.publishedAt))}`);
+    if (video.language) details.push(`Language ${this.escapeHtml(video.language)}`);
+    if (video.canonicalUrl && video.canonicalUrl !== video.url) {
+      details.push(`<a href="${this.escapeAttribute(video.canonicalUrl)}" target="_blank" title="${this.escapeAttribute(video.canonicalUrl)}">Canonical URL</a>`);
+    }
+
     // Create custom dialog
     const dialog = document.createElement('div');
     dialog.className = 'modal active';
@@ -975,7 +1859,20 @@ class VibraryPopup {
           <input type="text" id="edit-title-input" value="${this.escapeHtml(currentTitle)}" style="width: 100%; background: var(--bg-primary); color: var(--text-primary); border: 1px solid var(--border); border-radius: var(--radius); padding: 12px; font-size: 14px; margin-bottom: 16px;">
           
           <label style="display: block; color: var(--text-secondary); font-size: 14px; font-weight: 500; margin-bottom: 8px;">URL:</label>
-          <input type="url" id="edit-url-input" value="${this.escapeHtml(currentUrl)}" style="width: 100%; background: var(--bg-primary); color: var(--text-primary); border: 1px solid var(--border); border-radius: var(--radius); padding: 12px; font-size: 14px;">
+          <input type="url" id="edit-url-input" value="${this.escapeHtml(currentUrl)}" style="width: 100%; background: var(--bg-primary); color: var(--text-primary); border: 1px solid var(--border); border-radius: var(--radius); padding: 12px; font-size: 14px; margin-bottom: 16px;">
+
+          <label style="display: block; color: var(--text-secondary); font-size: 14px; font-weight: 500; margin-bottom: 8px;">Channel / creator:</label>
+          <input type="text" id="edit-creator-input" value="${this.escapeAttribute(video.creator || video.artist || '')}" style="width: 100%; background: var(--bg-primary); color: var(--text-primary); border: 1px solid var(--border); border-radius: var(--radius); padding: 12px; font-size: 14px; margin-bottom: 16px;">
+
+          <label style="display: block; color: var(--text-secondary); font-size: 14px; font-weight: 500; margin-bottom: 8px;">Description:</label>
+          <textarea id="edit-description-input" rows="3">${this.escapeHtml(video.description || '')}</textarea>
+          ${details.length ? `<div class="edit-details">${details.join(' · ')}</div>` : ''}
+          ${video.hostUrl ? `
+          <label style="display: block; color: var(--text-secondary); font-size: 14px; font-weight: 500; margin: 16px 0 8px;">Open:</label>
+          <select id="edit-open-target" class="cleanup-select" title="${this.escapeAttribute(video.hostUrl)}">
+            <option value="video" ${video.openTarget !== 'host' ? 'selected' : ''}>Video (${this.escapeHtml(video.website)})</option>
+            <option value="host" ${video.openTarget === 'host' ? 'selected' : ''}>Page it was embedded on (${this.escapeHtml(video.hostWebsite)})</option>
+          </select>` : ''}
         </div>
         <div class="modal-actions">
           <button id="save-edit-btn" class="btn-primary">Save Changes</button>
@@ -989,6 +1886,9 @@ class VibraryPopup {
     // Focus on title input
     const titleInput = dialog.querySelector('#edit-title-input');
     const urlInput = dialog.querySelector('#edit-url-input');
+    const openTargetSelect = dialog.querySelector('#edit-open-target');
+    const creatorInput = dialog.querySelector('#edit-creator-input');
+    const descriptionInput = dialog.querySelector('#edit-description-input');
     titleInput.focus();
     titleInput.select();
 
@@ -998,18 +1898,31 @@ class VibraryPopup {
       const newUrl = urlInput.value.trim();
 
       if (newTitle && newUrl) {
-        // Update in both storages if exists
-        if (this.historyVideos[videoId]) {
-          this.historyVideos[videoId].title = newTitle;
-          this.historyVideos[videoId].url = newUrl;
+        let canonicalKey = video.canonicalKey;
+        if (newUrl !== currentUrl) {
+          canonicalKey = UrlCanonicalizer.canonicalize(newUrl).key;
+          // Live broadcasts keep their session, which the URL doesn't name
+          const liveSession = (video.canonicalKey || '').match(/#live@\d+$/);
+          if (liveSession) canonicalKey += liveSession[0];
         }
-        if (this.libraryVideos[videoId]) {
-          this.libraryVideos[videoId].title = newTitle;
-          this.libraryVideos[videoId].url = newUrl;
+        const openTarget = openTargetSelect?.value || video.openTarget;
+        const creator = creatorInput.value.trim();
+        const description = descriptionInput.value.trim();
+
+        const updated = await LibraryApi.patchVideo(videoId, {
+          title: newTitle,
+          url: newUrl,
+          canonicalKey,
+          openTarget,
+          creator,
+          description
+        });
+        // The same video is never stored twice - keep the dialog open to change the URL
+        if (!updated) {
+          this.showNotification('Another video already has this URL', 'error');
+          return;
         }
-
-        await this.saveData();
-        this.render();
+        await this.refresh();
         this.showNotification('Video details updated');
       }
 
@@ -1022,7 +1935,7 @@ class VibraryPopup {
     });
 
     // Enter key to save
-    [titleInput, urlInput].forEach(input => {
+    [titleInput, urlInput, creatorInput].forEach(input => {
       input.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
           dialog.querySelector('#save-edit-btn').click();
@@ -1121,8 +2034,12 @@ class VibraryPopup {
   }
 
   formatTime(seconds) {
-    const mins = Math.floor(seconds / 60);
+    const hours = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
     const secs = Math.floor(seconds % 60);
+    if (hours > 0) {
+      return `${hours}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   }
 
@@ -1138,6 +2055,15 @@ class VibraryPopup {
     return `${days}d ago`;
   }
 
+  getTimeUntil(timestamp) {
+    const minutes = Math.ceil((timestamp - Date.now()) / 60000);
+
+    if (minutes < 1) return 'Soon';
+    if (minutes < 60) return `in ${minutes}m`;
+    if (minutes < 1440) return `in ${Math.round(minutes / 60)}h`;
+    return `in ${Math.round(minutes / 1440)}d`;
+  }
+
   showNewPlaylistModal(fromWithinModal = false) {
     // Create custom dialog
     const dialog = document.createElement('div');
@@ -1176,8 +2102,8 @@ class VibraryPopup {
           return;
         }
 
-        this.playlists[name] = [];
-        await this.saveData();
+        await LibraryApi.createPlaylist(name);
+        await this.loadData();
 
         if (fromWithinModal) {
           // We're creating from within the playlist modal
@@ -1251,13 +2177,9 @@ class VibraryPopup {
           return;
         }
 
-        // Rename playlist
-        this.playlists[newName] = this.playlists[currentName];
-        delete this.playlists[currentName];
+        await LibraryApi.renamePlaylist(currentName, newName);
         this.currentPlaylist = newName;
-
-        await this.saveData();
-        this.render();
+        await this.refresh();
         this.showNotification('Playlist renamed');
       }
 
@@ -1282,6 +2204,11 @@ class VibraryPopup {
     div.textContent = text || '';
     return div.innerHTML;
   }
+
+  // escapeHtml leaves quotes alone, so page-provided text inside attributes needs this
+  escapeAttribute(text) {
+    return String(text || '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  }
 }
 
 // Start
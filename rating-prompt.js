@@ -0,0 +1,188 @@
+// VIBRARY Rating Prompt - small in-page overlay asking for a rating when a video ends.
+// Settings are shared with the popup; the overlay itself lives in a closed shadow root so
+// page styles and scripts can't reach it.
+class RatingPrompt {
+  static DEFAULTS = {
+    enabled: false,      // opt in from the popup settings
+    minWatchSeconds: 60, // played before leaving the page for the prompt to show
+    disabledSites: []    // hostnames where the user chose "don't ask"
+  };
+
+  // Closes by itself unless the pointer is over it
+  static AUTO_DISMISS = 15000;
+
+  static normalize(settings) {
+    const merged = { ...this.DEFAULTS, ...(settings || {}) };
+    merged.disabledSites = [...new Set((merged.disabledSites || []).map(site => site.trim().toLowerCase()).filter(Boolean))];
+    return merged;
+  }
+
+  static isEnabledFor(hostname, settings) {
+    const host = (hostname || '').toLowerCase();
+    return settings.enabled &&
+        !settings.disabledSites.some(site => host === site || host.endsWith('.' + site));
+  }
+
+  // options: { title, playlists, onRate(rating), onAddToPlaylist(name), onDisableSite() }
+  static show(options) {
+    this.hide();
+
+    const host = document.createElement('vibrary-rating-prompt');
+    const root = host.attachShadow({ mode: 'closed' });
+    root.innerHTML = `
+      <style>${this.STYLES}</style>
+      <div class="prompt" role="dialog" aria-label="Rate this video">
+        <button class="close" title="Dismiss">×</button>
+        <div class="label">Rate in VIBRARY</div>
+        <div class="title"></div>
+        <div class="stars"></div>
+        <div class="row">
+          <select class="playlist"><option value="">Add to playlist…</option></select>
+          <button class="disable">Don't ask on this site</button>
+        </div>
+      </div>`;
+
+    root.querySelector('.title').textContent = options.title || 'Untitled video';
+
+    const stars = root.querySelector('.stars');
+    for (let rating = 1; rating <= 5; rating++) {
+      const star = document.createElement('button');
+      star.className = 'star';
+      star.textContent = '★';
+      star.title = `${rating} star${rating > 1 ? 's' : ''}`;
+      star.addEventListener('mouseenter', () => this.highlight(stars, rating));
+      star.addEventListener('click', async () => {
+        this.highlight(stars, rating);
+        await options.onRate(rating);
+        this.hide();
+      });
+      stars.appendChild(star);
+    }
+    stars.addEventListener('mouseleave', () => this.highlight(stars, 0));
+
+    const select = root.querySelector('.playlist');
+    if (options.playlists?.length) {
+      options.playlists.forEach(name => select.appendChild(new Option(name, name)));
+      select.addEventListener('change', async () => {
+        if (!select.value) return;
+        select.disabled = true;
+        await options.onAddToPlaylist(select.value);
+        select.options[0].textContent = `Added to ${select.value}`;
+        select.value = '';
+      });
+    } else {
+      select.remove();
+    }
+
+    root.querySelector('.disable').addEventListener('click', async () => {
+      await options.onDisableSite();
+      this.hide();
+    });
+    root.querySelector('.close').addEventListener('click', () => this.hide());
+
+    // Keep page shortcuts (space, arrows) from firing while using the prompt
+    root.querySelector('.prompt').addEventListener('keydown', e => e.stopPropagation());
+
+    let timer = setTimeout(() => this.hide(), this.AUTO_DISMISS);
+    host.addEventListener('mouseenter', () => clearTimeout(timer));
+    host.addEventListener('mouseleave', () => {
+      timer = setTimeout(() => this.hide(), this.AUTO_DISMISS);
+    });
+
+    // Fullscreen players hide everything outside the fullscreen element
+    (document.fullscreenElement || document.documentElement).appendChild(host);
+    this.current = { host, cancel: () => clearTimeout(timer) };
+  }
+
+  static hide() {
+    if (!this.current) return;
+    this.current.cancel();
+    this.current.host.remove();
+    this.current = null;
+  }
+
+  static highlight(stars, rating) {
+    [...stars.children].forEach((star, index) => star.classList.toggle('active', index < rating));
+  }
+
+  static STYLES = `
+    :host {
+      all: initial;
+      position: fixed;
+      right: 20px;
+      bottom: 20px;
+      z-index: 2147483647;
+    }
+    .prompt {
+      position: relative;
+      width: 260px;
+      padding: 14px 16px;
+      background: #1a1a1a;
+      color: #f5f5f5;
+      border: 1px solid #333;
+      border-radius: 12px;
+      box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5);
+      font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    }
+    .label {
+      font-size: 11px;
+      font-weight: 700;
+      color: #3b82f6;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+    }
+    .title {
+      margin: 4px 24px 8px 0;
+      font-weight: 600;
+      overflow: hidden;
+      white-space: nowrap;
+      text-overflow: ellipsis;
+    }
+    .stars {
+      display: flex;
+      gap: 4px;
+      margin-bottom: 10px;
+    }
+    .star {
+      background: none;
+      border: none;
+      padding: 0;
+      font-size: 24px;
+      color: #555;
+      cursor: pointer;
+    }
+    .star.active {
+      color: #f59e0b;
+    }
+    .row {
+      display: flex;
+      gap: 8px;
+      align-items: center;
+    }
+    select, .disable {
+      flex: 1;
+      min-width: 0;
+      padding: 5px 6px;
+      background: #262626;
+      color: #d4d4d4;
+      border: 1px solid #404040;
+      border-radius: 6px;
+      font: inherit;
+      font-size: 12px;
+      cursor: pointer;
+    }
+    .close {
+      position: absolute;
+      top: 8px;
+      right: 10px;
+      background: none;
+      border: none;
+      color: #a0a0a0;
+      font-size: 18px;
+      cursor: pointer;
+    }
+    .close:hover, .disable:hover {
+      color: #fff;
+    }
+  `;
+}
@@ -0,0 +1,96 @@
+// VIBRARY Site Rules - decides whether and how a URL is tracked. Shared by the content script
+// and the settings UI. One rule per line, first match wins:
+//
+//   example.com               domain and its subdomains
+//   youtube.com/watch*        host plus path pattern (* matches anything, query included)
+//   /^https:\/\/.+\.mp4$/i    regular expression against the full URL
+//
+// A rule can end with an action: ignore, track, no-thumbnails or playlist:<name>. Without one,
+// rules ignore in block mode and track in allow mode, where unmatched sites are ignored.
+class SiteRules {
+  static ACTIONS = ['ignore', 'track', 'no-thumbnails'];
+
+  static MODES = ['block', 'allow'];
+
+  static parse(lines) {
+    return (lines || [])
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => this.parseRule(line));
+  }
+
+  static parseRule(line) {
+    const rule = { line, action: null, playlist: null, error: null };
+
+    // Split off a trailing action
+    const match = line.match(/^(.*?)\s+(ignore|track|no-thumbnails|playlist:.+)$/i);
+    let pattern = match ? match[1].trim() : line;
+    if (match) {
+      const action = match[2];
+      if (action.toLowerCase().startsWith('playlist:')) {
+        rule.action = 'track';
+        rule.playlist = action.slice('playlist:'.length).trim();
+      } else {
+        rule.action = action.toLowerCase();
+      }
+    }
+
+    try {
+      const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+      if (regex) {
+        const expression = new RegExp(regex[1], regex[2]);
+        rule.test = url => expression.test(url.href);
+        return rule;
+      }
+
+      pattern = pattern.replace(/^[a-z]+:\/\//i, '').toLowerCase();
+      const slash = pattern.indexOf('/');
+      const host = slash >= 0 ? pattern.slice(0, slash) : pattern;
+      const path = slash >= 0 ? pattern.slice(slash) : null;
+
+      if (!host) throw new Error('Missing domain');
+
+      const hostRegex = host.includes('*') ? this.globToRegex(host) : null;
+      const pathRegex = path ? this.globToRegex(path) : null;
+
+      rule.test = url => {
+        const hostname = url.hostname.toLowerCase();
+        const hostMatches = hostRegex ?
+            hostRegex.test(hostname) :
+            hostname === host || hostname.endsWith('.' + host);
+        return hostMatches && (!pathRegex || pathRegex.test((url.pathname + url.search).toLowerCase()));
+      };
+    } catch (e) {
+      rule.error = e.message;
+      rule.test = () => false;
+    }
+
+    return rule;
+  }
+
+  static globToRegex(glob) {
+    const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`);
+  }
+
+  // Returns { action, playlist, rule } for a URL; action is 'ignore', 'track' or 'no-thumbnails'
+  static evaluate(url, rules, mode = 'block') {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch (e) {
+      return { action: 'track', playlist: null, rule: null };
+    }
+
+    const rule = rules.find(candidate => candidate.test(urlObj));
+    if (!rule) {
+      return { action: mode === 'allow' ? 'ignore' : 'track', playlist: null, rule: null };
+    }
+
+    return {
+      action: rule.action || (mode === 'allow' ? 'track' : 'ignore'),
+      playlist: rule.playlist,
+      rule
+    };
+  }
+}
@@ -0,0 +1,160 @@
+// Schema migrations against stored layouts of earlier versions: node --test tests/
+// Loads the extension scripts as the service worker does. chrome.storage is an in-memory object and,
+// since Node has no IndexedDB, thumbnails are put in a Map.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+let storage = {};
+const copy = value => JSON.parse(JSON.stringify(value));
+
+global.chrome = {
+  storage: {
+    local: {
+      get: async (keys) => {
+        const names = keys === null ? Object.keys(storage) : [].concat(keys);
+        return copy(Object.fromEntries(names.filter(key => key in storage).map(key => [key, storage[key]])));
+      },
+      set: async (items) => {
+        Object.assign(storage, copy(items));
+      },
+      remove: async (keys) => {
+        [].concat(keys).forEach(key => delete storage[key]);
+      }
+    }
+  }
+};
+
+['canonical.js', 'thumb-store.js', 'library-store.js', 'migrations.js'].forEach((file) => {
+  vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+});
+const { ThumbnailStore, LibraryStore, SchemaMigrations } = vm.runInThisContext(
+    '({ ThumbnailStore, LibraryStore, SchemaMigrations })');
+
+let thumbnails = new Map();
+ThumbnailStore.put = async (videoId, time, blob) => {
+  const key = ThumbnailStore.makeKey(videoId, time);
+  thumbnails.set(key, blob);
+  return key;
+};
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+
+// Migrate from the given version, then run every step again on the result. Compared and returned
+// as JSON, the way chrome.storage keeps it.
+async function migrateTwice(snapshot, fromVersion) {
+  await SchemaMigrations.migrate(snapshot, fromVersion);
+  const first = copy(snapshot);
+  const thumbnailsAfterFirst = [...thumbnails.keys()];
+
+  await SchemaMigrations.migrate(snapshot, 0);
+  assert.deepEqual(copy(snapshot), first, 'a second run changes the data');
+  assert.deepEqual([...thumbnails.keys()], thumbnailsAfterFirst, 'a second run stores thumbnails again');
+  return first;
+}
+
+function assertCurrentLayout(snapshot) {
+  assert.equal(snapshot.schemaVersion, SchemaMigrations.CURRENT_VERSION);
+  SchemaMigrations.LEGACY_KEYS.forEach(key => assert.equal(snapshot[key], undefined, `${key} is left over`));
+
+  const recordIds = Object.keys(snapshot)
+      .filter(key => key.startsWith(LibraryStore.RECORD_PREFIX))
+      .map(key => key.slice(LibraryStore.RECORD_PREFIX.length));
+  assert.deepEqual(recordIds.sort(), Object.keys(snapshot.videoIndex).sort(), 'records and index differ');
+
+  Object.values(snapshot.playlists).flat().forEach((id) => {
+    assert.ok(snapshot.videoIndex[id], `playlist video ${id} has no entry`);
+  });
+  recordIds.forEach((id) => {
+    const video = snapshot[LibraryStore.recordKey(id)];
+    assert.equal(ThumbnailStore.needsExternalizing(video), false, `${id} still has inline thumbnails`);
+  });
+}
+
+beforeEach(() => {
+  storage = {};
+  thumbnails = new Map();
+});
+
+test('baseline videos layout', async () => {
+  const snapshot = await migrateTwice(fixture('v0-videos.json'), 0);
+  assertCurrentLayout(snapshot);
+
+  const tracer = 'vid_1700000000000_a1b2c3d4e';
+  const timelapse = 'vid_1700000100000_f5g6h7i8j';
+  const clip = 'vid_1700000200000_k9l0m1n2o';
+
+  // Every video was history; playlists are unchanged
+  assert.deepEqual(snapshot.videoIndex, {
+    [tracer]: { key: 'youtube:aB3dE5gH7jK', site: 'youtube.com', watchedAt: 1700000000000, history: true, rating: 4 },
+    [timelapse]: { key: 'vimeo:76979871', site: 'vimeo.com', watchedAt: 1700000100000, history: true },
+    [clip]: { key: 'example.com/media/clip.mp4', site: 'example.com', watchedAt: 1700000200000, history: true, rating: 5 }
+  });
+  assert.deepEqual(snapshot.playlists, { Favorites: [clip, tracer] });
+  assert.equal(snapshot.lastCleanupTime, 1700000300000);
+
+  const video = snapshot[LibraryStore.recordKey(tracer)];
+  assert.equal(video.title, 'Building a Ray Tracer');
+  assert.equal(video.lastPosition, 120);
+  assert.deepEqual(video.thumbnailCollection, [{ time: 10, ref: `${tracer}@10` }, { time: 60, ref: `${tracer}@60` }]);
+  assert.equal(snapshot[LibraryStore.recordKey(timelapse)].thumbnailRef, `${timelapse}@primary`);
+  assert.deepEqual([...thumbnails.keys()].sort(), [`${tracer}@10`, `${tracer}@60`, `${timelapse}@primary`]);
+});
+
+test('history and library layout with inline thumbnails and duplicates', async () => {
+  const snapshot = await migrateTwice(fixture('v1-split-duplicates.json'), 1);
+  assertCurrentLayout(snapshot);
+
+  // vid_a and vid_b are one video; the more recently watched vid_b is kept
+  assert.deepEqual(snapshot.videoIndex, {
+    vid_b: { key: 'youtube:Qw3rTy7uI9o', site: 'youtu.be', watchedAt: 1700000500000, history: true, rating: 3 },
+    vid_c: { key: 'vimeo:76979871', site: 'vimeo.com', watchedAt: 1700000300000, history: true },
+    vid_d: { key: 'dailymotion:x8abc12', site: 'dailymotion.com', watchedAt: 1690000000000, rating: 2 }
+  });
+  assert.deepEqual(snapshot.playlists, { 'Watch later': ['vid_b', 'vid_d'], Courses: ['vid_b'] });
+
+  const merged = snapshot[LibraryStore.recordKey('vid_b')];
+  assert.deepEqual(merged.watchedSegments, [[0, 60]]);
+  assert.equal(merged.watchTime, 70);
+  assert.equal(merged.lastPosition, 60);
+  assert.equal(merged.duration, 300);
+  assert.deepEqual(merged.thumbnailCollection, [{ time: 5, ref: 'vid_b@5' }, { time: 40, ref: 'vid_b@40' }]);
+  // The thumbnail came from vid_a and is the same image as its frame, which is stored once
+  assert.equal(merged.thumbnail, '');
+  assert.equal(merged.thumbnailRef, 'vid_b@5');
+  assert.deepEqual([...thumbnails.keys()].sort(), ['vid_b@40', 'vid_b@5', 'vid_c@primary']);
+});
+
+test('history and library layout from before per-video storage', async () => {
+  const snapshot = await migrateTwice(fixture('v3-unsharded.json'), 3);
+  assertCurrentLayout(snapshot);
+
+  // The history copy wins over the library's; a library copy no playlist holds is dropped
+  assert.deepEqual(snapshot.videoIndex, {
+    vid_x: { key: 'youtube:Zx9Cv8Bn7Mq', site: 'music.youtube.com', watchedAt: 1700000900000, history: true, rating: 5, mediaType: 'audio' },
+    vid_live: { key: 'twitch:channel:marathonchannel#live@1700000400000', site: 'twitch.tv', watchedAt: 1700000800000, history: true, live: true }
+  });
+  assert.equal(snapshot[LibraryStore.recordKey('vid_x')].title, 'Night Drive (Remastered)');
+  assert.equal(snapshot[LibraryStore.recordKey('vid_orphan')], undefined);
+  assert.equal(snapshot[LibraryStore.recordKey('vid_live')].thumbnailRef, 'vid_live@120');
+
+  // Settings stored next to the library are left alone
+  assert.deepEqual(snapshot.blacklist, ['example.org']);
+  assert.equal(snapshot.blacklistEnabled, true);
+  assert.equal(thumbnails.size, 0);
+});
+
+test('storage is migrated in place and legacy keys are removed', async () => {
+  storage = fixture('v0-videos.json');
+  const applied = await SchemaMigrations.migrateStorage();
+  assert.equal(applied.length, SchemaMigrations.STEPS.length);
+  assertCurrentLayout(storage);
+
+  const stored = copy(storage);
+  assert.deepEqual(await SchemaMigrations.migrateStorage(), []);
+  assert.deepEqual(storage, stored, 'storage at the current version was written again');
+});
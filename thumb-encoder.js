@@ -0,0 +1,104 @@
+// VIBRARY Thumbnail Encoder - turns canvases into thumbnails using the user's thumbnail settings.
+// Shared by the content script (frame capture), background (artwork, re-encoding) and popup (settings).
+class ThumbnailEncoder {
+  static DEFAULTS = {
+    format: 'jpeg',
+    maxWidth: 400,
+    maxHeight: 225,
+    maxFrames: 10,
+    budgetKB: 300 // per video, spread over its frames
+  };
+
+  static MIME_TYPES = {
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    avif: 'image/avif'
+  };
+
+  // Qualities tried from best to worst until a frame fits its share of the budget
+  static QUALITY_STEPS = [0.8, 0.7, 0.6, 0.5, 0.4, 0.3, 0.2];
+
+  static normalize(settings) {
+    const merged = { ...this.DEFAULTS, ...(settings || {}) };
+    if (!this.MIME_TYPES[merged.format]) merged.format = this.DEFAULTS.format;
+    return merged;
+  }
+
+  static async loadSettings() {
+    const data = await chrome.storage.local.get(['thumbnailSettings']);
+    return this.normalize(data.thumbnailSettings);
+  }
+
+  // Output size that fits inside the configured box without upscaling
+  static fitSize(width, height, settings) {
+    const scale = Math.min(1, settings.maxWidth / width, settings.maxHeight / height);
+    return {
+      width: Math.max(1, Math.floor(width * scale)),
+      height: Math.max(1, Math.floor(height * scale))
+    };
+  }
+
+  static frameBudget(settings) {
+    return Math.floor(settings.budgetKB * 1024 / Math.max(1, settings.maxFrames));
+  }
+
+  // Works with both DOM canvases and OffscreenCanvas (service worker)
+  static toBlob(canvas, type, quality) {
+    if (canvas.convertToBlob) {
+      return canvas.convertToBlob({ type, quality });
+    }
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to create blob')), type, quality);
+    });
+  }
+
+  // Browsers silently fall back to PNG for formats they can't encode
+  static async isSupported(format) {
+    const canvas = typeof OffscreenCanvas !== 'undefined' ?
+        new OffscreenCanvas(1, 1) :
+        Object.assign(document.createElement('canvas'), { width: 1, height: 1 });
+    canvas.getContext('2d').fillRect(0, 0, 1, 1);
+
+    try {
+      const blob = await this.toBlob(canvas, this.MIME_TYPES[format], 0.8);
+      return blob.type === this.MIME_TYPES[format];
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Encode at the highest quality that stays under the per-frame budget
+  static async encode(canvas, settings) {
+    let type = this.MIME_TYPES[settings.format];
+    const budget = this.frameBudget(settings);
+    let blob = null;
+
+    for (const quality of this.QUALITY_STEPS) {
+      blob = await this.toBlob(canvas, type, quality);
+
+      if (blob.type !== type) {
+        // Unsupported format - retry as JPEG
+        type = this.MIME_TYPES.jpeg;
+        blob = await this.toBlob(canvas, type, quality);
+      }
+
+      if (blob.size <= budget) break;
+    }
+
+    return blob;
+  }
+
+  // Draw an image source into a canvas sized by the settings
+  static drawScaled(source, sourceWidth, sourceHeight, settings, canvas) {
+    const { width, height } = this.fitSize(sourceWidth, sourceHeight, settings);
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+      throw new Error('Failed to get canvas context');
+    }
+    ctx.drawImage(source, 0, 0, width, height);
+    return ctx;
+  }
+}
@@ -0,0 +1,145 @@
+// VIBRARY Thumbnail Store - frames kept once as Blobs in the extension's IndexedDB.
+// Only usable from extension pages and the background worker; content scripts run in the
+// page's origin and hand their frames to the background worker instead.
+class ThumbnailStore {
+  static DB_NAME = 'vibrary-thumbnails';
+  static STORE_NAME = 'thumbnails';
+
+  static open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.DB_NAME, 1);
+
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(this.STORE_NAME, { keyPath: 'key' });
+          store.createIndex('videoId', 'videoId');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Run a request against the store and resolve with its result once the transaction completes
+  static async run(mode, makeRequest) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.STORE_NAME, mode);
+      const request = makeRequest(tx.objectStore(this.STORE_NAME));
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Frames are keyed by video ID and frame time
+  static makeKey(videoId, time) {
+    return `${videoId}@${typeof time === 'number' ? Math.round(time * 10) / 10 : time}`;
+  }
+
+  static async put(videoId, time, blob) {
+    const key = this.makeKey(videoId, time);
+    await this.run('readwrite', store => store.put({ key, videoId, time, blob }));
+    return key;
+  }
+
+  static async get(key) {
+    const record = await this.run('readonly', store => store.get(key));
+    return record?.blob || null;
+  }
+
+  static async keys() {
+    return (await this.run('readonly', store => store.getAllKeys())) || [];
+  }
+
+  // Swap the image of an existing frame, keeping its key so references stay valid
+  static async replaceBlob(key, blob) {
+    await this.run('readwrite', store => {
+      const request = store.get(key);
+      request.onsuccess = () => {
+        if (request.result) store.put({ ...request.result, blob });
+      };
+      return null;
+    });
+  }
+
+  static async delete(keys) {
+    if (!keys.length) return;
+    await this.run('readwrite', store => {
+      keys.forEach(key => store.delete(key));
+      return null;
+    });
+  }
+
+  // Delete every frame no video entry refers to any more
+  static async prune(referencedKeys) {
+    const keys = await this.keys();
+    const orphans = keys.filter(key => !referencedKeys.has(key));
+    await this.delete(orphans);
+    return orphans.length;
+  }
+
+  // All frame keys referenced by a set of video objects
+  static collectRefs(...videoMaps) {
+    const refs = new Set();
+    videoMaps.forEach(videos => {
+      Object.values(videos || {}).forEach(video => {
+        if (video.thumbnailRef) refs.add(video.thumbnailRef);
+        (video.thumbnailCollection || []).forEach(frame => frame.ref && refs.add(frame.ref));
+        (video.bookmarks || []).forEach(bookmark => bookmark.frame && refs.add(bookmark.frame));
+      });
+    });
+    return refs;
+  }
+
+  // Move data-URL thumbnails of an entry into the store; returns the entry with references only
+  static async externalizeVideo(videoId, video) {
+    const updated = { ...video };
+
+    if (Array.isArray(video.thumbnailCollection)) {
+      updated.thumbnailCollection = [];
+      for (const frame of video.thumbnailCollection) {
+        const { thumbnail, ...rest } = frame;
+        if (thumbnail?.startsWith('data:')) {
+          rest.ref = await this.put(videoId, frame.time, await this.dataUrlToBlob(thumbnail));
+        }
+        if (rest.ref) updated.thumbnailCollection.push(rest);
+      }
+    }
+
+    if (video.thumbnail?.startsWith('data:')) {
+      // Reuse the collection frame if the primary thumbnail is one of them
+      const index = (video.thumbnailCollection || []).findIndex(f => f.thumbnail === video.thumbnail);
+      updated.thumbnailRef = index >= 0 ?
+          updated.thumbnailCollection.find(f => f.time === video.thumbnailCollection[index].time)?.ref :
+          await this.put(videoId, 'primary', await this.dataUrlToBlob(video.thumbnail));
+      updated.thumbnail = '';
+    }
+
+    return updated;
+  }
+
+  static needsExternalizing(video) {
+    return !!(video.thumbnail?.startsWith('data:') ||
+        video.thumbnailCollection?.some(frame => frame.thumbnail?.startsWith('data:')));
+  }
+
+  static async dataUrlToBlob(dataUrl) {
+    const response = await fetch(dataUrl);
+    return response.blob();
+  }
+
+  static async blobToDataUrl(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${blob.type};base64,${btoa(binary)}`;
+  }
+}